@@ -2,358 +2,1558 @@ const functions = require('firebase-functions/v1');
 const admin = require('firebase-admin');
 const { MedicationAlert, MedicationTracking, NotificationSummary } = require('./src/models');
 const { SMSService } = require('./src/sms-service');
+const { EmailService } = require('./src/email-service');
 const { MonitoringService } = require('./src/monitoring-service');
+const { PushService } = require('./src/push-service');
+const { ThresholdService } = require('./src/threshold-service');
+const { PreferencesService } = require('./src/preferences-service');
+const { OrganizationService, getOrganizationId } = require('./src/organization-service');
+const { RoleService } = require('./src/role-service');
+const { authorize, hasRole, isEmulator, ROLES } = require('./src/auth-guard');
+const { AuditService, isSameValue } = require('./src/audit-service');
+const { ReportService, REPORT_PERIODS } = require('./src/report-service');
+const { logger, traced, getFunctionName } = require('./src/logger');
+const { RetentionService } = require('./src/retention-service');
+const { SummaryService, getUserSummaryId } = require('./src/summary-service');
+const { AlertActionService } = require('./src/alert-action-service');
+const { EscalationService } = require('./src/escalation-service');
+const { RunLedger } = require('./src/run-ledger');
+const { permanentRetryError, postponedRetryError, getRetryDecision, getFailureUpdate } = require('./src/retry-policy');
+const { evaluateMedicament, STATUS_PRIORITY } = require('./src/medication-status');
+const { createNotificationMessage, buildGroupedMessage } = require('./src/notification-messages');
+const { countSmsSegments } = require('./src/message-templates');
+const { FACILITY_TIMEZONE, getLocalDate, addDays } = require('./src/facility-time');
 
 admin.initializeApp();
 
 // Initialiser les services
 const smsService = new SMSService();
+const emailService = new EmailService();
 const monitoringService = new MonitoringService();
+const pushService = new PushService();
+const thresholdService = new ThresholdService();
+const preferencesService = new PreferencesService();
+const organizationService = new OrganizationService();
+const roleService = new RoleService();
+const auditService = new AuditService();
+const reportService = new ReportService();
+const retentionService = new RetentionService();
+const summaryService = new SummaryService();
+const alertActionService = new AlertActionService();
+const escalationService = new EscalationService();
+
+// Taille des pages de médicaments et des lectures groupées (getAll)
+const MEDICAMENTS_PAGE_SIZE = 300;
+const GET_ALL_CHUNK_SIZE = 100;
+
+// BulkWriter découpe les écritures sous les limites Firestore et retente les erreurs transitoires.
+// Chaque écriture est suivie : close() lève une erreur si l'une d'elles a définitivement échoué
+function createBulkWriter(db) {
+    const writer = db.bulkWriter();
+    const failures = [];
+
+    writer.onWriteError((error) => {
+        if (error.failedAttempts < 5) {
+            return true;
+        }
+        logger.error('Write failed', { path: error.documentRef.path, error: error.message });
+        return false;
+    });
+
+    const track = (operation) => {
+        operation.catch(error => failures.push(error));
+    };
+
+    return {
+        set: (ref, data) => track(writer.set(ref, data)),
+        update: (ref, data) => track(writer.update(ref, data)),
+        delete: (ref) => track(writer.delete(ref)),
+        close: async () => {
+            await writer.close();
+            if (failures.length > 0) {
+                throw new Error(`${failures.length} write(s) failed: ${failures[0].message}`);
+            }
+        }
+    };
+}
+
+// Résoudre les alertes actives d'un médicament (ou de tous les médicaments d'une ordonnance)
+// plus graves que le statut donné
+async function resolveAlerts(db, { medicamentId = null, ordonnanceId = null, belowStatus = 'ok', reason }) {
+    const snapshot = await db.collection('medication_alerts')
+        .where(medicamentId ? 'medicamentId' : 'ordonnanceId', '==', medicamentId || ordonnanceId)
+        .get();
+
+    const toResolve = snapshot.docs.filter(doc => {
+        const alert = MedicationAlert.fromFirestore(doc.data());
+        return alert.isActive() && STATUS_PRIORITY[alert.alertLevel] > STATUS_PRIORITY[belowStatus];
+    });
+
+    if (toResolve.length === 0) {
+        return 0;
+    }
+
+    const writer = createBulkWriter(db);
+    const resolvedAt = admin.firestore.Timestamp.now();
+    toResolve.forEach(doc => {
+        writer.update(doc.ref, {
+            status: 'resolved',
+            resolvedAt: resolvedAt,
+            resolutionReason: reason
+        });
+    });
+    await writer.close();
+
+    logger.info('Alerts resolved', { medicamentId, ordonnanceId, resolved: toResolve.length, reason });
+    return toResolve.length;
+}
+
+// Charger les ordonnances absentes du cache, retourne le nombre de lectures effectuées
+async function loadOrdonnances(db, ordonnanceIds, cache) {
+    const missingIds = [...new Set(ordonnanceIds)].filter(id => id && !cache.has(id));
+
+    for (let i = 0; i < missingIds.length; i += GET_ALL_CHUNK_SIZE) {
+        const refs = missingIds.slice(i, i + GET_ALL_CHUNK_SIZE).map(id => db.collection('ordonnances').doc(id));
+        const docs = await db.getAll(...refs);
+        docs.forEach(doc => {
+            cache.set(doc.id, doc.exists ? { id: doc.id, ...doc.data() } : null);
+        });
+    }
+
+    return missingIds.length;
+}
+
+// Charger les tracking existants des médicaments donnés (id du tracking = id du médicament)
+async function loadTracking(db, medicamentIds) {
+    const tracking = new Map();
+
+    for (let i = 0; i < medicamentIds.length; i += GET_ALL_CHUNK_SIZE) {
+        const refs = medicamentIds.slice(i, i + GET_ALL_CHUNK_SIZE).map(id => db.collection('medication_tracking').doc(id));
+        const docs = await db.getAll(...refs);
+        docs.filter(doc => doc.exists).forEach(doc => {
+            const track = MedicationTracking.fromFirestore(doc.data());
+            tracking.set(track.medicamentId, track);
+        });
+    }
+
+    return tracking;
+}
+
+// Fonction principale de vérification des expirations
+exports.checkMedicationExpirations = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 8 * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('checkMedicationExpirations', async (context) => {
+        const db = admin.firestore();
+        const today = getLocalDate(); // Format YYYY-MM-DD, jour calendaire de l'établissement
+        const ledger = new RunLedger(today, context.eventId || null);
+
+        logger.info('Starting medication expiration check', { date: today, eventId: ledger.eventId, leaseOwner: ledger.owner });
+
+        try {
+            // 0. Prendre le bail de l'exécution du jour (no-op si déjà terminée ou en cours)
+            const lease = await ledger.acquire();
+            if (!lease.acquired) {
+                logger.info('Check run skipped', { date: today, eventId: ledger.eventId, reason: lease.reason });
+                return null;
+            }
+
+            let state = lease.run.state;
+            if (lease.resumed) {
+                logger.info('Resuming check run', { date: today, state });
+            }
+
+            // 1-4. Évaluer les médicaments, écrire les alertes et le tracking (un résumé par organisation)
+            let summaries;
+            let counts;
+            if (!RunLedger.hasReached(state, 'alerts_written')) {
+                ({ summaries, counts } = await evaluateMedications(db, today));
+
+                // Conserver les résumés pour pouvoir relancer ou reprendre l'envoi des notifications
+                for (const summary of summaries) {
+                    await db.collection('notification_summaries').doc(summary.id).set(summary.toFirestore());
+                }
+
+                state = 'alerts_written';
+                await ledger.advance(state, { counts });
+            } else {
+                const summariesSnapshot = await db.collection('notification_summaries')
+                    .where('date', '==', today)
+                    .where('type', '==', 'daily')
+                    .get();
+                summaries = summariesSnapshot.docs
+                    .map(doc => NotificationSummary.fromFirestore(doc.data(), doc.id))
+                    .filter(summary => !summary.userId);
+                counts = lease.run.counts || {};
+            }
+
+            if (!counts.medicaments) {
+                logger.info('No medications found', { date: today });
+                await ledger.advance('completed');
+                return null;
+            }
+
+            // 5-6. Envoyer les notifications de chaque organisation à ses seuls utilisateurs ; chaque organisation
+            // notifiée est enregistrée aussitôt : une reprise ne renvoie pas aux organisations déjà servies
+            let notifications;
+            if (!RunLedger.hasReached(state, 'notified')) {
+                notifications = { ...(lease.run.notifications || {}) };
+                for (const summary of summaries) {
+                    if (notifications[summary.organizationId]) {
+                        logger.info('Organisation already notified, skipping', { summaryId: summary.id, organizationId: summary.organizationId });
+                        continue;
+                    }
+
+                    notifications[summary.organizationId] = await notifySummary(summary);
+                    await ledger.checkpoint({ notifications });
+
+                    // Statistiques d'envoi conservées avec le résumé pour le fil d'historique
+                    await db.collection('notification_summaries').doc(summary.id).update({
+                        deliveryStats: notifications[summary.organizationId],
+                        notifiedAt: admin.firestore.Timestamp.now()
+                    });
+                }
+                state = 'notified';
+                await ledger.advance(state, { notifications });
+            } else {
+                notifications = lease.run.notifications || {};
+            }
+
+            // 7. Log des statistiques : exécution globale, puis alertes et envois par organisation
+            const { organizations: organizationCounts = {}, ...runCounts } = counts;
+            await monitoringService.logDailyStats(today, { ...runCounts, organizationCount: summaries.length });
+
+            for (const summary of summaries) {
+                const orgCounts = organizationCounts[summary.organizationId] || {};
+                const notification = notifications[summary.organizationId] || {};
+
+                await monitoringService.logDailyStats(today, {
+                    ...orgCounts,
+                    totalMedications: orgCounts.medicaments || 0,
+                    newCritical: summary.newCriticalCount,
+                    newWarning: summary.newWarningCount,
+                    newExpired: summary.newExpiredCount,
+                    notificationSent: summary.hasNewAlerts() && !notification.pushFailed,
+                    ...notification
+                }, summary.organizationId);
+            }
+
+            await ledger.advance('completed');
+
+            logger.info('Check completed', { date: today, counts });
+            return null;
+
+        } catch (error) {
+            logger.error('Error in checkMedicationExpirations', { error });
+            await ledger.release(error);
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'checkMedicationExpirations',
+                error: error.message
+            });
+            throw error;
+        }
+    }));
+
+// Évaluer tous les médicaments et écrire les alertes et le tracking (idempotent pour une même date)
+// Retourne un résumé par organisation ayant des médicaments suivis
+async function evaluateMedications(db, today) {
+    const startTime = Date.now();
+    const counts = { medicaments: 0, ordonnancesRead: 0, trackingRead: 0, trackingWrites: 0, alertsWritten: 0, alertsResolved: 0, pages: 0, organizations: {} };
+
+    // Seuils d'expiration globaux (surchargeables par ordonnance et par médicament)
+    const globalThresholds = await thresholdService.getGlobalThresholds();
+
+    const summaries = new Map();
+    const getOrganization = (organizationId) => {
+        if (!summaries.has(organizationId)) {
+            summaries.set(organizationId, new NotificationSummary(today, 'daily', `${organizationId}_${today}`, organizationId));
+            counts.organizations[organizationId] = { medicaments: 0, alertsWritten: 0, alertsResolved: 0 };
+        }
+        return { summary: summaries.get(organizationId), orgCounts: counts.organizations[organizationId] };
+    };
+    const ordonnanceCache = new Map();
+    const writer = createBulkWriter(db);
+    let lastDoc = null;
+
+    // 1. Parcourir les médicaments page par page (curseur sur l'id du document)
+    while (true) {
+        let query = db.collection('medicaments')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(MEDICAMENTS_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        if (page.empty) break;
+
+        lastDoc = page.docs[page.docs.length - 1];
+        counts.pages++;
+        counts.medicaments += page.size;
+
+        const medicaments = page.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+
+        // 2. Charger en une fois les ordonnances manquantes et les tracking de la page
+        counts.ordonnancesRead += await loadOrdonnances(db, medicaments.map(m => m.ordonnanceId), ordonnanceCache);
+        const existingTracking = await loadTracking(db, medicaments.map(m => m.id));
+        counts.trackingRead += existingTracking.size;
+
+        // 3. Analyser les changements et créer les alertes
+        for (const medicament of medicaments) {
+            const ordonnance = ordonnanceCache.get(medicament.ordonnanceId);
+
+            // Ordonnance supprimée : les alertes encore actives du médicament n'ont plus d'objet
+            if (!ordonnance) {
+                if (existingTracking.has(medicament.id)) {
+                    counts.alertsResolved += await resolveAlerts(db, { medicamentId: medicament.id, reason: 'ordonnance_deleted' });
+                    writer.delete(db.collection('medication_tracking').doc(medicament.id));
+                }
+                continue;
+            }
+
+            const { summary, orgCounts } = getOrganization(getOrganizationId(ordonnance));
+            orgCounts.medicaments++;
+
+            const thresholds = thresholdService.resolve(globalThresholds, ordonnance, medicament);
+            const evaluation = evaluateMedicament({
+                medicament,
+                ordonnance,
+                thresholds,
+                existingTrack: existingTracking.get(medicament.id),
+                today,
+                source: 'scheduler'
+            });
+
+            // Ignorer les médicaments OK ou avec statut inconnu
+            if (!evaluation.tracking) {
+                continue;
+            }
+
+            if (evaluation.isImproved || evaluation.isUnknown) {
+                const resolved = await resolveAlerts(db, evaluation.isUnknown
+                    ? { medicamentId: medicament.id, reason: 'status_unknown' }
+                    : { medicamentId: medicament.id, belowStatus: evaluation.currentStatus, reason: 'status_improved' });
+                counts.alertsResolved += resolved;
+                orgCounts.alertsResolved += resolved;
+            }
+
+            // Reprise après un crash : une escalade déjà enregistrée aujourd'hui est réintégrée au résumé
+            if (evaluation.alert) {
+                summary.addAlert(evaluation.alert, evaluation.alertId);
+                writer.set(db.collection('medication_alerts').doc(evaluation.alertId), evaluation.alert.toFirestore());
+                counts.alertsWritten++;
+                orgCounts.alertsWritten++;
+            }
+
+            writer.set(db.collection('medication_tracking').doc(medicament.id), evaluation.tracking.toFirestore());
+            counts.trackingWrites++;
+        }
+
+        if (page.size < MEDICAMENTS_PAGE_SIZE) break;
+    }
+
+    // 4. Attendre la fin de toutes les écritures (découpées par le BulkWriter) ; un échec définitif
+    // interrompt l'exécution avant que le ledger n'avance, la reprise réévalue les médicaments
+    await writer.close();
+    return { summaries: [...summaries.values()], counts: { ...counts, elapsedMs: Date.now() - startTime } };
+}
+
+// Envoyer le résumé à chaque utilisateur selon ses préférences (niveaux, canaux, heures calmes, mode)
+// isRecipient : restreindre les destinataires (ex. utilisateurs n'ayant pas lu l'alerte rappelée)
+async function notifySummary(summary, isRecipient = () => true) {
+    const stats = {
+        pushFailed: false,
+        pushDelivered: 0,
+        pushUnreachable: 0,
+        smsSent: 0,
+        smsFailed: 0,
+        emailSent: 0,
+        emailFailed: 0,
+        deferred: 0
+    };
+
+    // Les alertes mises de côté pour les utilisateurs en mode digest partent avec le résumé quotidien
+    const queuedDigests = summary.type === 'daily' ? await loadQueuedDigests() : new Map();
+
+    if (!summary.hasNewAlerts() && queuedDigests.size === 0) {
+        logger.info('No new alerts', { summaryId: summary.id, organizationId: summary.organizationId });
+        return stats;
+    }
+
+    const recipients = await loadRecipients(summary.organizationId);
+    let pushAttempted = 0;
 
-// Fonction utilitaire pour déterminer le statut d'un médicament
-function getMedicationStatus(expirationDate) {
-    const now = new Date();
-    let expDate;
+    for (const recipient of recipients.filter(isRecipient)) {
+        const queued = queuedDigests.get(recipient.id) || [];
+        const userSummary = preferencesService.filterSummary(summary, recipient.preferences);
 
+        // Résumé fusionné propre à l'utilisateur, conservé : le summaryId et le deep-link du push
+        // (ainsi que le retry) portent sur l'ensemble des alertes envoyées
+        if (queued.length > 0) {
+            queued.forEach(item => item.summary.newAlerts.forEach(alert => userSummary.addAlert(alert)));
+            userSummary.id = getUserSummaryId(summary.id, recipient.id);
+            userSummary.userId = recipient.id;
+            await summaryService.saveUserSummary(userSummary);
+        }
+
+        if (!userSummary.hasNewAlerts()) continue;
+
+        if (summary.type !== 'daily' && recipient.preferences.deliveryMode === 'digest') {
+            await queueNotification(recipient.id, userSummary, 'digest');
+            stats.deferred++;
+            continue;
+        }
+
+        if (preferencesService.isInQuietHours(recipient.preferences)) {
+            await queueNotification(recipient.id, userSummary, 'quiet_hours', preferencesService.getQuietHoursEnd(recipient.preferences));
+            await deleteQueuedNotifications(queued);
+            stats.deferred++;
+            continue;
+        }
+
+        const delivery = await deliverToUser(recipient, userSummary);
+        await deleteQueuedNotifications(queued);
+
+        if (delivery.push !== null) pushAttempted++;
+        if (delivery.push === true) stats.pushDelivered++;
+        if (delivery.push === false) stats.pushUnreachable++;
+        if (delivery.sms !== null) stats[delivery.sms ? 'smsSent' : 'smsFailed']++;
+        if (delivery.email !== null) stats[delivery.email ? 'emailSent' : 'emailFailed']++;
+    }
+
+    stats.pushFailed = pushAttempted > 0 && stats.pushDelivered === 0;
+
+    logger.info('Summary notified', { summaryId: summary.id, organizationId: summary.organizationId, ...stats });
+    return stats;
+}
+
+// Charger les utilisateurs d'une organisation avec leurs préférences de notification résolues
+async function loadRecipients(organizationId) {
+    const [userDocs, storedPreferences] = await Promise.all([
+        organizationService.getUsers(organizationId),
+        preferencesService.getAllStoredPreferences()
+    ]);
+
+    return userDocs.map(doc => ({
+        id: doc.id,
+        user: doc.data(),
+        preferences: preferencesService.resolve(storedPreferences.get(doc.id), doc.data())
+    }));
+}
+
+// Livrer un résumé à un utilisateur sur ses canaux : push, SMS si le push n'a pas abouti, email pour le quotidien
+// Retourne pour chaque canal true (envoyé), false (échec) ou null (non tenté)
+async function deliverToUser({ id, user, preferences }, summary) {
+    const delivery = { push: null, sms: null, email: null };
+    let fallbackReason = 'push_disabled';
+
+    if (preferences.channels.push) {
+        fallbackReason = pushService.getUserTokens(user).length === 0 ? 'no_push_device' : 'push_failed';
+        delivery.push = await sendPushToUser(id, user, summary, preferences);
+    }
+
+    if (preferences.channels.sms && delivery.push !== true && user.phoneNumber && smsService.isValidPhoneNumber(user.phoneNumber)) {
+        delivery.sms = await sendSMSToUser(id, user, summary, preferences, fallbackReason);
+    }
+
+    // Sans SMTP configuré, le canal email n'est pas tenté (ni journalisé, ni retenté)
+    if (preferences.channels.email && user.email && summary.type === 'daily' && emailService.isEnabled) {
+        delivery.email = await sendEmailToUser(id, user, summary);
+    }
+
+    return delivery;
+}
+
+// Envoyer la notification push groupée sur les appareils enregistrés d'un utilisateur, dans sa langue
+async function sendPushToUser(userId, user, summary, preferences) {
+    const tokens = pushService.getUserTokens(user);
+    if (tokens.length === 0) {
+        return false;
+    }
+
+    try {
+        const message = buildGroupedMessage(summary, createNotificationMessage(summary, preferences));
+        const result = await pushService.sendToUser(userId, tokens, message);
+        const delivered = result.successCount > 0;
+
+        await monitoringService.logNotificationAttempt('push', delivered ? 'success' : 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            successCount: result.successCount,
+            failureCount: result.failureCount,
+            prunedTokens: result.invalidTokens.length,
+            error: result.errors.length > 0 ? result.errors.join(', ') : null
+        });
+
+        return delivered;
+    } catch (error) {
+        logger.error('Error sending push notification', { userId, summaryId: summary.id, error });
+        await monitoringService.logNotificationAttempt('push', 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+// Envoyer le résumé par SMS à un utilisateur, dans sa langue
+async function sendSMSToUser(userId, user, summary, preferences, fallbackReason) {
+    try {
+        const text = smsService.createMedicationAlertSMS(summary, preferences);
+        const result = await smsService.sendSMS(user.phoneNumber, text);
+
+        await monitoringService.logNotificationAttempt('sms', result.success ? 'success' : 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            messageId: result.messageId || null,
+            error: result.error || result.reason || null,
+            fallbackReason: fallbackReason,
+            segments: countSmsSegments(text).segments
+        });
+
+        return result.success;
+    } catch (error) {
+        logger.error('Error sending SMS', { userId, summaryId: summary.id, error });
+        await monitoringService.logNotificationAttempt('sms', 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+// Envoyer le digest quotidien par email à un utilisateur
+async function sendEmailToUser(userId, user, summary) {
     try {
-        if (expirationDate && typeof expirationDate.toDate === 'function') {
-            expDate = expirationDate.toDate();
-        } else if (expirationDate instanceof Date) {
-            expDate = expirationDate;
-        } else if (typeof expirationDate === 'string') {
-            expDate = new Date(expirationDate);
-        } else if (expirationDate && typeof expirationDate === 'object' && expirationDate._seconds) {
-            expDate = new Date(expirationDate._seconds * 1000);
-        } else {
-            console.error('Unsupported expiration date format:', expirationDate);
-            return 'unknown';
+        const digest = emailService.createDailyDigest(summary);
+        const result = await emailService.sendEmail(user.email, digest.subject, digest.html, digest.text);
+
+        await monitoringService.logNotificationAttempt('email', result.success ? 'success' : 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            messageId: result.messageId || null,
+            error: result.error || result.reason || null
+        });
+
+        return result.success;
+    } catch (error) {
+        logger.error('Error sending email digest', { userId, summaryId: summary.id, error });
+        await monitoringService.logNotificationAttempt('email', 'failed', {
+            date: summary.date,
+            summaryId: summary.id,
+            summaryType: summary.type,
+            organizationId: summary.organizationId,
+            userId: userId,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+// Mettre un résumé de côté pour un utilisateur : prochain digest quotidien ('digest'),
+// fin des heures calmes ('quiet_hours', deliverAfter) ou fin de pause d'une alerte ('snooze', deliverAfter)
+async function queueNotification(userId, summary, reason, deliverAfter = null) {
+    await admin.firestore().collection('pending_notifications').doc(`${userId}_${summary.id}`).set({
+        userId: userId,
+        summaryId: summary.id,
+        alertId: reason === 'snooze' ? summary.newAlerts[0].alertId : null,
+        summary: summary.toFirestore(),
+        reason: reason,
+        deliverAfter: deliverAfter ? admin.firestore.Timestamp.fromDate(deliverAfter) : null,
+        createdAt: admin.firestore.Timestamp.now()
+    });
+    logger.info('Notification deferred', { summaryId: summary.id, userId, reason });
+}
+
+// Charger les résumés en attente du digest quotidien, groupés par utilisateur
+async function loadQueuedDigests() {
+    const snapshot = await admin.firestore().collection('pending_notifications')
+        .where('reason', '==', 'digest')
+        .get();
+
+    const byUser = new Map();
+    snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (!byUser.has(data.userId)) {
+            byUser.set(data.userId, []);
+        }
+        byUser.get(data.userId).push({ ref: doc.ref, summary: NotificationSummary.fromFirestore(data.summary, data.summaryId) });
+    });
+    return byUser;
+}
+
+async function deleteQueuedNotifications(items) {
+    for (const item of items) {
+        await item.ref.delete();
+    }
+}
+
+// Livrer les notifications retenues pendant les heures calmes une fois celles-ci terminées
+exports.deliverDeferredNotifications = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('*/15 * * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('deliverDeferredNotifications', async (context) => {
+        const db = admin.firestore();
+
+        try {
+            const dueSnapshot = await db.collection('pending_notifications')
+                .where('deliverAfter', '<=', admin.firestore.Timestamp.now())
+                .get();
+            const results = { delivered: 0, postponed: 0, dropped: 0 };
+
+            for (const doc of dueSnapshot.docs) {
+                const pending = doc.data();
+                const [userDoc, preferences] = await Promise.all([
+                    db.collection('users').doc(pending.userId).get(),
+                    preferencesService.getPreferences(pending.userId)
+                ]);
+
+                // Rappel de fin de pause : inutile si l'alerte a été résolue ou traitée entre-temps
+                const snoozedAlertId = pending.reason === 'snooze' ? pending.alertId : null;
+                if (!userDoc.exists || (snoozedAlertId && !(await alertActionService.isOpen(snoozedAlertId)))) {
+                    await doc.ref.delete();
+                    results.dropped++;
+                    continue;
+                }
+
+                // Les préférences ont pu changer depuis la mise en attente
+                if (preferencesService.isInQuietHours(preferences)) {
+                    await doc.ref.update({
+                        deliverAfter: admin.firestore.Timestamp.fromDate(preferencesService.getQuietHoursEnd(preferences))
+                    });
+                    results.postponed++;
+                    continue;
+                }
+
+                const summary = preferencesService.filterSummary(
+                    NotificationSummary.fromFirestore(pending.summary, pending.summaryId),
+                    preferences
+                );
+                if (summary.hasNewAlerts()) {
+                    await deliverToUser({ id: pending.userId, user: userDoc.data(), preferences }, summary);
+                    results.delivered++;
+                } else {
+                    results.dropped++;
+                }
+                await doc.ref.delete();
+            }
+
+            if (dueSnapshot.size > 0) {
+                logger.info('Deferred notifications processed', results);
+            }
+            return null;
+        } catch (error) {
+            logger.error('Error in deliverDeferredNotifications', { error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'deliverDeferredNotifications',
+                error: error.message
+            });
+            throw error;
         }
+    }));
+
+// Champs d'un médicament qui influencent son statut d'expiration
+const STATUS_FIELDS = ['expirationDate', 'ordonnanceId', 'expirationThresholds'];
 
-        if (isNaN(expDate.getTime())) {
-            console.error('Invalid date created from:', expirationDate);
-            return 'unknown';
+// Évaluation en temps réel lorsqu'un médicament est créé, modifié ou supprimé
+exports.evaluateMedicamentOnWrite = functions
+    .region('europe-west1')
+    .firestore
+    .document('medicaments/{medicamentId}')
+    .onWrite(traced('evaluateMedicamentOnWrite', async (change, context) => {
+        const db = admin.firestore();
+        const medicamentId = context.params.medicamentId;
+        const today = getLocalDate();
+        const trackingRef = db.collection('medication_tracking').doc(medicamentId);
+
+        try {
+            // Suppression : résoudre les alertes actives, le tracking n'a plus lieu d'être
+            if (!change.after.exists) {
+                await resolveAlerts(db, { medicamentId, reason: 'medicament_deleted' });
+                await trackingRef.delete();
+                logger.info('Medicament deleted, alerts resolved and tracking removed', { medicamentId });
+                return null;
+            }
+
+            const before = change.before.exists ? change.before.data() : null;
+            const after = change.after.data();
+
+            // Ignorer les modifications sans impact sur le statut (nom, posologie...)
+            if (before && STATUS_FIELDS.every(field => isSameValue(before[field], after[field]))) {
+                return null;
+            }
+
+            const medicament = { ...after, id: medicamentId };
+            const ordonnanceDoc = await db.collection('ordonnances').doc(medicament.ordonnanceId).get();
+            if (!ordonnanceDoc.exists) {
+                logger.warn('Ordonnance not found for medicament', { medicamentId, ordonnanceId: medicament.ordonnanceId });
+                await resolveAlerts(db, { medicamentId, reason: 'ordonnance_deleted' });
+                await trackingRef.delete();
+                return null;
+            }
+
+            const ordonnance = { id: ordonnanceDoc.id, ...ordonnanceDoc.data() };
+            const thresholds = thresholdService.resolve(await thresholdService.getGlobalThresholds(), ordonnance, medicament);
+
+            // Lire et écrire le tracking dans une transaction pour ne pas écraser le contrôle quotidien
+            const evaluation = await db.runTransaction(async (transaction) => {
+                const trackingDoc = await transaction.get(trackingRef);
+                const existingTrack = trackingDoc.exists ? MedicationTracking.fromFirestore(trackingDoc.data()) : null;
+
+                const result = evaluateMedicament({
+                    medicament,
+                    ordonnance,
+                    thresholds,
+                    existingTrack,
+                    today,
+                    source: 'trigger'
+                });
+
+                if (!result.tracking) {
+                    return result;
+                }
+
+                transaction.set(trackingRef, result.tracking.toFirestore());
+                if (result.isNewAlert) {
+                    transaction.set(db.collection('medication_alerts').doc(result.alertId), result.alert.toFirestore());
+                }
+                return result;
+            });
+
+            if (evaluation.isImproved) {
+                await resolveAlerts(db, { medicamentId, belowStatus: evaluation.currentStatus, reason: 'status_improved' });
+            } else if (evaluation.isUnknown) {
+                await resolveAlerts(db, { medicamentId, reason: 'status_unknown' });
+            }
+
+            if (!evaluation.isNewAlert) {
+                return null;
+            }
+
+            // Notifier immédiatement (ou mettre de côté selon le mode et les heures calmes de chaque utilisateur) ;
+            // l'historique du tracking (source 'trigger') évite que le contrôle quotidien ne renvoie la même alerte
+            const summary = new NotificationSummary(today, 'realtime', evaluation.alertId, getOrganizationId(ordonnance));
+            summary.addAlert(evaluation.alert, evaluation.alertId);
+            await db.collection('notification_summaries').doc(summary.id).set(summary.toFirestore());
+            await notifySummary(summary);
+
+            return null;
+        } catch (error) {
+            logger.error('Error evaluating medicament', { medicamentId, error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'evaluateMedicamentOnWrite',
+                medicamentId: medicamentId,
+                error: error.message
+            });
+            throw error;
+        }
+    }));
+
+// Résoudre les alertes actives des médicaments d'une ordonnance supprimée
+exports.resolveAlertsOnOrdonnanceDelete = functions
+    .region('europe-west1')
+    .firestore
+    .document('ordonnances/{ordonnanceId}')
+    .onDelete(traced('resolveAlertsOnOrdonnanceDelete', async (snapshot, context) => {
+        const ordonnanceId = context.params.ordonnanceId;
+
+        try {
+            await resolveAlerts(admin.firestore(), { ordonnanceId, reason: 'ordonnance_deleted' });
+            return null;
+        } catch (error) {
+            logger.error('Error resolving alerts of deleted ordonnance', { ordonnanceId, error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'resolveAlertsOnOrdonnanceDelete',
+                ordonnanceId: ordonnanceId,
+                error: error.message
+            });
+            throw error;
         }
+    }));
 
-        const diffInDays = Math.ceil((expDate - now) / (1000 * 60 * 60 * 24));
+// Journal d'audit des ordonnances (append-only)
+exports.auditOrdonnanceWrite = functions
+    .region('europe-west1')
+    .firestore
+    .document('ordonnances/{ordonnanceId}')
+    .onWrite(traced('auditOrdonnanceWrite', async (change, context) => {
+        try {
+            await auditService.record('ordonnance', context.params.ordonnanceId, change, context);
+            return null;
+        } catch (error) {
+            logger.error('Error auditing ordonnance', { ordonnanceId: context.params.ordonnanceId, error });
+            throw error;
+        }
+    }));
+
+// Journal d'audit des médicaments (append-only), rattaché à l'organisation de l'ordonnance
+exports.auditMedicamentWrite = functions
+    .region('europe-west1')
+    .firestore
+    .document('medicaments/{medicamentId}')
+    .onWrite(traced('auditMedicamentWrite', async (change, context) => {
+        const data = change.after.exists ? change.after.data() : change.before.data();
+
+        try {
+            const ordonnanceDoc = data.ordonnanceId
+                ? await admin.firestore().collection('ordonnances').doc(data.ordonnanceId).get()
+                : null;
+            const ordonnance = ordonnanceDoc && ordonnanceDoc.exists ? ordonnanceDoc.data() : null;
 
-        if (diffInDays < 0) {
-            return 'expired';
-        } else if (diffInDays <= 14) {
-            return 'critical';
-        } else if (diffInDays <= 30) {
-            return 'warning';
-        } else {
-            return 'ok';
+            await auditService.record('medicament', context.params.medicamentId, change, context, ordonnance);
+            return null;
+        } catch (error) {
+            logger.error('Error auditing medicament', { medicamentId: context.params.medicamentId, error });
+            throw error;
         }
+    }));
+
+// Rapports d'expiration planifiés : hebdomadaire le lundi, mensuel le 1er du mois
+exports.sendWeeklyExpirationReport = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 7 * * 1')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('sendWeeklyExpirationReport', async (context) => {
+        await runScheduledReports('weekly');
+        return null;
+    }));
+
+exports.sendMonthlyExpirationReport = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 7 1 * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('sendMonthlyExpirationReport', async (context) => {
+        await runScheduledReports('monthly');
+        return null;
+    }));
+
+// Générer le rapport de chaque organisation et l'envoyer par email aux admins et pharmaciens inscrits
+async function runScheduledReports(period) {
+    try {
+        const organizationIds = await organizationService.getOrganizationIds();
 
+        for (const organizationId of organizationIds) {
+            const generated = await reportService.generate(organizationId, { period });
+
+            if (!emailService.isEnabled) {
+                logger.info('Email not configured, report stored without being sent', { reportId: generated.id, organizationId });
+                continue;
+            }
+
+            const recipients = (await organizationService.getUsersWithRole(organizationId, ['admin', 'pharmacist']))
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(user => user.emailNotificationsEnabled && user.email);
+            const email = emailService.createReportEmail(generated);
+
+            for (const user of recipients) {
+                const result = await emailService.sendEmail(user.email, email.subject, email.html, email.text);
+                await monitoringService.logNotificationAttempt('report', result.success ? 'success' : 'failed', {
+                    reportId: generated.id,
+                    organizationId: organizationId,
+                    userId: user.id,
+                    messageId: result.messageId || null,
+                    error: result.error || result.reason || null
+                });
+            }
+        }
     } catch (error) {
-        console.error('Error in getMedicationStatus:', error);
-        return 'unknown';
+        logger.error('Error in expiration report', { period, error });
+        await monitoringService.logNotificationAttempt('system', 'failed', {
+            function: `${period}ExpirationReport`,
+            error: error.message
+        });
+        throw error;
     }
 }
 
-// Fonction principale de vérification des expirations
-exports.checkMedicationExpirations = functions
+// Agréger en fin de journée les envois du jour et la lecture des alertes de la veille
+exports.aggregateDeliveryMetrics = functions
     .region('europe-west1')
     .pubsub
-    .schedule('0 8 * * *')
-    .timeZone('Europe/Paris')
-    .onRun(async (context) => {
+    .schedule('55 23 * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('aggregateDeliveryMetrics', async (context) => {
         const db = admin.firestore();
-        const today = new Date().toISOString().split('T')[0]; // Format YYYY-MM-DD
+        const today = getLocalDate();
+
+        try {
+            const runDoc = await db.collection('check_runs').doc(today).get();
+            await monitoringService.aggregateDeliveryMetrics(today, runDoc.exists ? runDoc.data().startedAt : null);
+            await monitoringService.aggregateReadMetrics(addDays(today, -1));
+            return null;
+        } catch (error) {
+            logger.error('Error in aggregateDeliveryMetrics', { error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'aggregateDeliveryMetrics',
+                error: error.message
+            });
+            throw error;
+        }
+    }));
+
+// Surveiller le contrôle du jour : exécution non terminée ou taux d'échec des envois anormal
+exports.watchNotificationHealth = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('30 9 * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('watchNotificationHealth', async (context) => {
+        const db = admin.firestore();
+        const today = getLocalDate();
+
+        try {
+            const runDoc = await db.collection('check_runs').doc(today).get();
+            const run = runDoc.exists ? runDoc.data() : null;
+
+            if (!run || run.state !== 'completed') {
+                await sendAdminAlert(null, `check_incomplete_${today}`, {
+                    title: 'Contrôle quotidien non terminé',
+                    body: run
+                        ? `Le contrôle des expirations du ${today} est bloqué à l'étape ${run.state}${run.lastError ? ` (${run.lastError})` : ''}.`
+                        : `Le contrôle des expirations du ${today} n'a pas démarré.`
+                });
+            }
+
+            const metrics = await monitoringService.aggregateDeliveryMetrics(today, run ? run.startedAt : null);
+            for (const [organizationId, delivery] of metrics) {
+                if (!monitoringService.isFailureRateAnomalous(delivery)) continue;
+
+                await sendAdminAlert(organizationId, `failure_rate_${organizationId}_${today}`, {
+                    title: 'Taux d\'échec des notifications élevé',
+                    body: `${delivery.failed} envoi(s) en échec sur ${delivery.success + delivery.failed} le ${today} ` +
+                        `(${Math.round(delivery.failureRate * 100)} %, seuil ${Math.round(monitoringService.failureRateThreshold * 100)} %).`
+                });
+            }
+
+            return null;
+        } catch (error) {
+            logger.error('Error in watchNotificationHealth', { error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'watchNotificationHealth',
+                error: error.message
+            });
+            throw error;
+        }
+    }));
+
+// Prévenir les admins (d'une organisation, ou de toutes si organizationId est null) par push et email ;
+// l'id de l'alerte évite de prévenir deux fois pour le même incident. Il n'est enregistré qu'une fois
+// l'alerte livrée : un envoi échoué est retenté à la prochaine détection
+async function sendAdminAlert(organizationId, alertId, { title, body }) {
+    const db = admin.firestore();
+    const alertRef = db.collection('admin_alerts').doc(alertId);
+
+    if ((await alertRef.get()).exists) {
+        return;
+    }
+
+    const admins = (await organizationService.getUsersWithRole(organizationId || null, ['admin']))
+        .map(doc => ({ id: doc.id, ...doc.data() }));
+    const delivery = { pushDelivered: 0, emailSent: 0, errors: [] };
+
+    for (const user of admins) {
+        try {
+            const tokens = pushService.getUserTokens(user);
+            if (tokens.length > 0) {
+                const result = await pushService.sendToUser(user.id, tokens, {
+                    notification: { title, body },
+                    data: { type: 'admin_alert', alertId: alertId }
+                });
+                if (result.successCount > 0) delivery.pushDelivered++;
+                delivery.errors.push(...result.errors);
+            }
+
+            if (emailService.isEnabled && user.email) {
+                const email = emailService.createAdminAlertEmail(title, body);
+                const result = await emailService.sendEmail(user.email, email.subject, email.html, email.text);
+                if (result.success) delivery.emailSent++;
+                else delivery.errors.push(result.error || result.reason || 'email_failed');
+            }
+        } catch (error) {
+            logger.error('Error sending admin alert', { alertId, userId: user.id, error });
+            delivery.errors.push(error.message);
+        }
+    }
+
+    const delivered = delivery.pushDelivered + delivery.emailSent > 0;
+    if (delivered) {
+        try {
+            await alertRef.create({
+                organizationId: organizationId,
+                title: title,
+                body: body,
+                pushDelivered: delivery.pushDelivered,
+                emailSent: delivery.emailSent,
+                createdAt: admin.firestore.Timestamp.now()
+            });
+        } catch (error) {
+            // ALREADY_EXISTS : incident signalé entre-temps par une autre exécution
+            if (error.code !== 6) throw error;
+        }
+    }
+
+    logger.warn(delivered ? 'Admin alert sent' : 'Admin alert not delivered', {
+        alertId, organizationId, adminCount: admins.length, pushDelivered: delivery.pushDelivered, emailSent: delivery.emailSent, title
+    });
+    await monitoringService.logNotificationAttempt('system', delivered ? 'success' : 'failed', {
+        function: getFunctionName(),
+        adminAlertId: alertId,
+        organizationId: organizationId,
+        title: title,
+        adminCount: admins.length,
+        pushDelivered: delivery.pushDelivered,
+        emailSent: delivery.emailSent,
+        error: delivered ? null : (delivery.errors.length > 0 ? delivery.errors.join(', ') : 'No admin reachable')
+    });
+}
+
+// Escalader les alertes critiques et expirées restées non lues : rappel, puis SMS au superviseur (toutes les heures)
+exports.escalateUnreadAlerts = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 * * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('escalateUnreadAlerts', async (context) => {
+        try {
+            const settings = await escalationService.getSettings();
+            const alerts = await escalationService.getActiveAlerts();
+            const results = { reminders: 0, supervisorEscalations: 0 };
+
+            for (const { id, alert } of alerts) {
+                const step = escalationService.getDueStep(alert, settings);
+
+                if (step === 'reminder') {
+                    await sendEscalationReminder(id, alert);
+                    results.reminders++;
+                } else if (step === 'supervisor') {
+                    await escalateToSupervisors(id, alert);
+                    results.supervisorEscalations++;
+                }
+            }
+
+            logger.info('Escalation completed', { activeAlerts: alerts.length, ...results });
+            return null;
+        } catch (error) {
+            logger.error('Error in escalateUnreadAlerts', { error });
+            await monitoringService.logNotificationAttempt('system', 'failed', {
+                function: 'escalateUnreadAlerts',
+                error: error.message
+            });
+            throw error;
+        }
+    }));
+
+// Rappeler l'alerte aux utilisateurs de l'organisation qui ne l'ont ni lue ni masquée
+async function sendEscalationReminder(alertId, alert) {
+    const summary = new NotificationSummary(getLocalDate(), 'reminder', `reminder_${alertId}`, alert.organizationId);
+    summary.addAlert(alert, alertId);
 
-        console.log(`Starting medication expiration check for ${today}`);
+    // Stocké comme les autres résumés : le retry des envois échoués le relit
+    await admin.firestore().collection('notification_summaries').doc(summary.id).set(summary.toFirestore());
 
-        try {
-            // 1. Récupérer tous les médicaments
-            const medicamentsSnapshot = await db.collection('medicaments').get();
+    const stats = await notifySummary(summary, recipient => {
+        const state = alert.userStates[recipient.id];
+        return !(state && (state.isRead || state.isHidden));
+    });
 
-            if (medicamentsSnapshot.empty) {
-                console.log('No medications found');
-                return null;
-            }
+    await escalationService.recordStep(alertId, 'reminder', {
+        summaryId: summary.id,
+        pushDelivered: stats.pushDelivered,
+        smsSent: stats.smsSent,
+        deferred: stats.deferred
+    });
+}
 
-            // 2. Récupérer les tracking existants
-            const trackingSnapshot = await db.collection('medication_tracking').get();
-            const existingTracking = new Map();
+// Prévenir par SMS les superviseurs désignés de l'organisation ; les admins si aucun n'a pu être joint
+async function escalateToSupervisors(alertId, alert) {
+    const supervisors = await escalationService.getSupervisors(alert.organizationId);
+    const unreadHours = escalationService.getElapsedHours(alert);
+    const notified = [];
+
+    for (const doc of supervisors) {
+        const supervisor = doc.data();
+        if (!supervisor.phoneNumber || !smsService.isValidPhoneNumber(supervisor.phoneNumber)) {
+            logger.warn('Escalation supervisor has no valid phone number', { userId: doc.id });
+            continue;
+        }
 
-            trackingSnapshot.docs.forEach(doc => {
-                const tracking = MedicationTracking.fromFirestore(doc.data());
-                existingTracking.set(tracking.medicamentId, tracking);
-            });
+        const preferences = await preferencesService.getPreferences(doc.id);
+        const message = smsService.createEscalationSMS(alert, unreadHours, preferences);
+        const result = await smsService.sendSMS(supervisor.phoneNumber, message);
+
+        // Sans résumé associé, le retry abandonne cet envoi : l'alerte admin ci-dessous prend le relais
+        await monitoringService.logNotificationAttempt('sms', result.success ? 'success' : 'failed', {
+            alertId: alertId,
+            summaryType: 'escalation',
+            organizationId: alert.organizationId,
+            userId: doc.id,
+            messageId: result.messageId || null,
+            error: result.error || result.reason || null,
+            segments: countSmsSegments(message).segments
+        });
 
-            // 3. Analyser les changements et créer les alertes
-            const summary = new NotificationSummary(today);
-            const batch = db.batch();
-            const alertsToCreate = [];
+        if (result.success) {
+            notified.push(doc.id);
+        }
+    }
 
-            for (const doc of medicamentsSnapshot.docs) {
-                const medicament = doc.data();
-                medicament.id = doc.id;
+    if (notified.length === 0) {
+        await sendAdminAlert(alert.organizationId, `escalation_${alertId}`, {
+            title: 'Escalade impossible',
+            body: `Alerte ${alert.alertLevel === 'expired' ? 'expirée' : 'critique'} non lue sur ${alert.medicamentName} : ` +
+                `aucun superviseur n'a pu être prévenu par SMS (${supervisors.length} désigné(s)).`
+        });
+    }
 
-                // Récupérer les informations de l'ordonnance
-                const ordonnanceDoc = await db.collection('ordonnances').doc(medicament.ordonnanceId).get();
-                if (!ordonnanceDoc.exists) continue;
+    await escalationService.recordStep(alertId, 'supervisor', {
+        supervisors: notified,
+        adminAlerted: notified.length === 0
+    });
+}
 
-                const ordonnance = ordonnanceDoc.data();
-                const currentStatus = getMedicationStatus(medicament.expirationDate);
+// Relancer les notifications push/SMS/email échouées à partir de notification_logs
+exports.retryFailedNotifications = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 */2 * * *')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('retryFailedNotifications', async (context) => {
+        const now = Date.now();
 
-                // Ignorer les médicaments OK ou avec statut inconnu
-                if (currentStatus === 'ok' || currentStatus === 'unknown') {
+        try {
+            const failures = await monitoringService.getRetryableFailures();
+            const summaries = new Map();
+            const results = { succeeded: 0, retried: 0, deferred: 0, abandoned: 0, skipped: 0 };
+
+            for (const log of failures) {
+                const retryCount = log.retryCount || 0;
+                const summaryId = log.details && (log.details.summaryId || log.details.date);
+
+                // Backoff exponentiel : attendre que la prochaine tentative soit due
+                const decision = getRetryDecision(log, now);
+                if (decision.action === 'skip') {
+                    results.skipped++;
                     continue;
                 }
-
-                const existingTrack = existingTracking.get(medicament.id);
-                const previousStatus = existingTrack ? existingTrack.lastStatus : 'ok';
-
-                // Vérifier si c'est un NOUVEAU changement de statut
-                const statusPriority = { 'ok': 0, 'warning': 1, 'critical': 2, 'expired': 3 };
-                const isNewAlert = statusPriority[currentStatus] > statusPriority[previousStatus];
-
-                if (isNewAlert) {
-                    // Créer une nouvelle alerte
-                    const alert = new MedicationAlert(
-                        medicament.id,
-                        medicament.ordonnanceId,
-                        ordonnance.patientName,
-                        medicament.name,
-                        medicament.expirationDate,
-                        currentStatus,
-                        today
-                    );
-
-                    alertsToCreate.push(alert);
-                    summary.addAlert(alert);
-
-                    console.log(`New alert: ${medicament.name} changed from ${previousStatus} to ${currentStatus}`);
+                if (decision.action === 'abandon') {
+                    await monitoringService.updateRetryStatus(log.id, 'abandoned', { retryError: decision.retryError });
+                    results.abandoned++;
+                    continue;
                 }
 
-                // Mettre à jour ou créer le tracking
-                let tracking;
-                if (existingTrack) {
-                    tracking = existingTrack;
-                    tracking.lastStatus = currentStatus;
-                    tracking.lastCheckDate = today;
-                    tracking.updatedAt = admin.firestore.Timestamp.now();
-
-                    if (isNewAlert) {
-                        tracking.addStatusChange(today, currentStatus);
-                        tracking.lastNotificationSent = admin.firestore.Timestamp.now();
-                    }
-                } else {
-                    tracking = new MedicationTracking(medicament.id, currentStatus, today);
-                    if (isNewAlert) {
-                        tracking.addStatusChange(today, currentStatus);
-                        tracking.lastNotificationSent = admin.firestore.Timestamp.now();
-                    }
+                // Reconstruire le message à partir du résumé stocké pour cette date
+                if (!summaries.has(summaryId)) {
+                    summaries.set(summaryId, await summaryService.getSummary(summaryId));
                 }
+                const summary = summaries.get(summaryId);
 
-                // Ajouter au batch
-                const trackingRef = db.collection('medication_tracking').doc(medicament.id);
-                batch.set(trackingRef, tracking.toFirestore());
-            }
+                if (!summary || !summary.hasNewAlerts()) {
+                    await monitoringService.updateRetryStatus(log.id, 'abandoned', {
+                        retryError: `No stored notification summary ${summaryId}`
+                    });
+                    results.abandoned++;
+                    continue;
+                }
 
-            // 4. Sauvegarder les alertes
-            for (const alert of alertsToCreate) {
-                const alertRef = db.collection('medication_alerts').doc();
-                batch.set(alertRef, alert.toFirestore());
-            }
+                try {
+                    const result = await resendNotification(log, summary);
 
-            // 5. Exécuter le batch
-            await batch.commit();
+                    // Destinataire passé au digest : le résumé attend le prochain digest quotidien
+                    if (result.deferred) {
+                        await monitoringService.updateRetryStatus(log.id, 'deferred', { retryCount, deferredReason: result.deferred });
+                        results.deferred++;
+                        continue;
+                    }
 
-            // 6. Envoyer les notifications si nécessaire
-            if (summary.hasNewAlerts()) {
-                await sendGroupedNotification(summary);
-                console.log(`Notifications sent for ${today}: ${summary.newCriticalCount} critical, ${summary.newWarningCount} warning, ${summary.newExpiredCount} expired`);
-            } else {
-                console.log(`No new alerts for ${today}`);
+                    await monitoringService.updateRetryStatus(log.id, 'succeeded', {
+                        retryCount: retryCount + 1,
+                        retryMessageId: result.messageId || null
+                    });
+                    results.succeeded++;
+                } catch (error) {
+                    const update = getFailureUpdate(retryCount, error, now);
+                    await monitoringService.updateRetryStatus(log.id, update.status, update.fields);
+                    results[update.status]++;
+                }
             }
 
-            // 7. Log des statistiques
-            await monitoringService.logDailyStats(today, {
-                totalMedications: medicamentsSnapshot.size,
-                newCritical: summary.newCriticalCount,
-                newWarning: summary.newWarningCount,
-                newExpired: summary.newExpiredCount,
-                notificationSent: summary.hasNewAlerts()
-            });
-
-            console.log(`Check completed for ${today}`);
+            logger.info('Retry completed', results);
             return null;
-
         } catch (error) {
-            console.error('Error in checkMedicationExpirations:', error);
+            logger.error('Error in retryFailedNotifications', { error });
             await monitoringService.logNotificationAttempt('system', 'failed', {
-                function: 'checkMedicationExpirations',
+                function: 'retryFailedNotifications',
                 error: error.message
             });
             throw error;
         }
-    });
-
-// Fonction pour envoyer la notification groupée
-async function sendGroupedNotification(summary) {
-    try {
-        const notificationContent = createNotificationMessage(summary);
-
-        const message = {
-            notification: {
-                title: notificationContent.title,
-                body: notificationContent.body
-            },
-            data: {
-                click_action: 'FLUTTER_NOTIFICATION_CLICK',
-                screen: 'notifications',
-                type: 'daily_medication_alert',
-                date: summary.date,
-                newCritical: summary.newCriticalCount.toString(),
-                newWarning: summary.newWarningCount.toString(),
-                newExpired: summary.newExpiredCount.toString()
-            },
-            // Configuration Android spécifique pour les heads-up notifications
-            android: {
-                notification: {
-                    channelId: 'medication_alerts',
-                    priority: 'high',
-                    defaultSound: true,
-                    defaultVibrateTimings: true,
-                    defaultLightSettings: true,
-                    notificationPriority: 'PRIORITY_HIGH',
-                    visibility: 'PUBLIC'
-                }
-            },
-            // Configuration iOS spécifique
-            apns: {
-                payload: {
-                    aps: {
-                        sound: 'default',
-                        badge: 1,
-                        alert: {
-                            title: notificationContent.title,
-                            body: notificationContent.body
-                        }
-                    }
-                }
-            },
-            topic: 'all_users'
-        };
+    }));
+
+// Renvoyer une notification échouée sans créer de nouvelle entrée de log ;
+// retourne { messageId } ou { deferred } si le résumé a rejoint le digest du destinataire
+async function resendNotification(log, summary) {
+    const db = admin.firestore();
+    const userId = log.details.userId;
+
+    // Les anciens échecs push globaux (sans destinataire) ne sont plus renvoyés à toute l'organisation :
+    // seul un envoi par utilisateur respecte ses préférences
+    if (!userId) {
+        throw permanentRetryError(`No recipient on ${log.type} log entry`);
+    }
 
-        await monitoringService.logNotificationAttempt('push', 'pending', {
-            date: summary.date,
-            recipientCount: 'all_users',
-            messageLength: notificationContent.body.length
-        });
+    // Revérifier que l'utilisateur souhaite toujours recevoir ce canal et ces niveaux d'alerte
+    const userDoc = await db.collection('users').doc(userId).get();
+    if (!userDoc.exists) {
+        throw permanentRetryError(`User ${userId} no longer exists`);
+    }
 
-        const response = await admin.messaging().send(message);
+    const user = userDoc.data();
+    const preferences = await preferencesService.getPreferences(userId);
+    const userSummary = preferencesService.filterSummary(summary, preferences);
 
-        await monitoringService.logNotificationAttempt('push', 'success', {
-            date: summary.date,
-            messageId: response,
-            recipientCount: 'all_users'
-        });
+    if (!preferences.channels[log.type]) {
+        throw permanentRetryError(`User ${userId} has disabled ${log.type} notifications`);
+    }
+    if (!userSummary.hasNewAlerts()) {
+        throw permanentRetryError(`User ${userId} no longer receives these alert levels`);
+    }
 
-        console.log('Grouped notification sent successfully:', response);
-        return response;
+    // Mêmes règles que l'envoi initial : digest pour les alertes hors résumé quotidien, puis heures calmes
+    if (summary.type !== 'daily' && preferences.deliveryMode === 'digest') {
+        await queueNotification(userId, userSummary, 'digest');
+        return { deferred: 'digest' };
+    }
+    if (preferencesService.isInQuietHours(preferences)) {
+        throw postponedRetryError(`User ${userId} is in quiet hours`, preferencesService.getQuietHoursEnd(preferences));
+    }
 
-    } catch (error) {
-        await monitoringService.logNotificationAttempt('push', 'failed', {
-            date: summary.date,
-            error: error.message,
-            recipientCount: 'all_users'
-        });
+    if (log.type === 'push') {
+        const tokens = pushService.getUserTokens(user);
+        if (tokens.length === 0) {
+            throw permanentRetryError(`User ${userId} has no registered push device`);
+        }
 
-        console.error('Error sending grouped notification:', error);
-        throw error;
+        const result = await pushService.sendToUser(userId, tokens, buildGroupedMessage(userSummary, createNotificationMessage(userSummary, preferences)));
+        if (result.successCount === 0) {
+            // Abandon seulement si tous les tokens ont été retirés ; sinon échec transitoire (unavailable, quota...)
+            if (result.invalidTokens.length === tokens.length) {
+                throw permanentRetryError(`User ${userId} has no reachable push device`);
+            }
+            throw new Error(`Push delivery failed: ${result.errors.join(', ')}`);
+        }
+        return { messageId: null };
     }
-}
 
-// Fonction pour créer le message de notification groupée
-function createNotificationMessage(summary) {
-    const lines = ['🏥 Prescription Manager'];
+    if (log.type === 'email') {
+        if (!emailService.isEnabled) {
+            throw permanentRetryError('Email is not configured');
+        }
+        if (!user.email) {
+            throw permanentRetryError(`User ${userId} is no longer an email recipient`);
+        }
 
-    if (summary.newExpiredCount > 0) {
-        lines.push(`🚨 ${summary.newExpiredCount} médicament${summary.newExpiredCount > 1 ? 's' : ''} expiré${summary.newExpiredCount > 1 ? 's' : ''}`);
+        const digest = emailService.createDailyDigest(userSummary);
+        const result = await emailService.sendEmail(user.email, digest.subject, digest.html, digest.text);
+        if (!result.success) {
+            throw new Error(result.error || result.reason || 'Email delivery failed');
+        }
+        return { messageId: result.messageId };
     }
 
-    if (summary.newCriticalCount > 0) {
-        lines.push(`⚠️ ${summary.newCriticalCount} médicament${summary.newCriticalCount > 1 ? 's' : ''} critique${summary.newCriticalCount > 1 ? 's' : ''}`);
+    if (!user.phoneNumber) {
+        throw permanentRetryError(`User ${userId} is no longer an SMS recipient`);
     }
 
-    if (summary.newWarningCount > 0) {
-        lines.push(`🟡 ${summary.newWarningCount} médicament${summary.newWarningCount > 1 ? 's' : ''} en alerte`);
+    const result = await smsService.sendSMS(user.phoneNumber, smsService.createMedicationAlertSMS(userSummary, preferences));
+    if (!result.success) {
+        throw new Error(result.error || result.reason || 'SMS delivery failed');
     }
-
-    return {
-        title: 'Prescription Manager',
-        body: lines.slice(1).join('\n')
-    };
+    return { messageId: result.messageId };
 }
 
-// Fonction de nettoyage automatique (6 mois)
-exports.cleanupOldAlerts = functions
+// Enregistrer le token FCM de l'appareil de l'utilisateur connecté
+exports.registerDeviceToken = functions
     .region('europe-west1')
-    .pubsub
-    .schedule('0 2 * * 0') // Tous les dimanches à 2h
-    .timeZone('Europe/Paris')
-    .onRun(async (context) => {
-        const db = admin.firestore();
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        const cutoffDate = sixMonthsAgo.toISOString().split('T')[0];
+    .https
+    .onCall(traced('registerDeviceToken', async (data, context) => {
+        authorize(context);
+
+        const token = data.token;
+        if (!token || typeof token !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'Device token is required');
+        }
 
         try {
-            // Nettoyer les anciennes alertes
-            const oldAlertsQuery = await db.collection('medication_alerts')
-                .where('alertDate', '<', cutoffDate)
-                .get();
+            await pushService.registerToken(context.auth.uid, token);
+            return { success: true };
+        } catch (error) {
+            logger.error('Error registering device token', { error });
+            throw new functions.https.HttpsError('internal', 'Error registering device token');
+        }
+    }));
 
-            const batch = db.batch();
-            oldAlertsQuery.docs.forEach(doc => {
-                batch.delete(doc.ref);
-            });
+// Supprimer le token FCM d'un appareil (déconnexion, désinstallation)
+exports.unregisterDeviceToken = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('unregisterDeviceToken', async (data, context) => {
+        authorize(context);
 
-            // Nettoyer les tracking des médicaments supprimés
-            const trackingSnapshot = await db.collection('medication_tracking').get();
-            const medicamentsSnapshot = await db.collection('medicaments').get();
-            const existingMedicamentIds = new Set(medicamentsSnapshot.docs.map(doc => doc.id));
+        const token = data.token;
+        if (!token || typeof token !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'Device token is required');
+        }
 
-            trackingSnapshot.docs.forEach(doc => {
-                if (!existingMedicamentIds.has(doc.data().medicamentId)) {
-                    batch.delete(doc.ref);
-                }
-            });
+        try {
+            await pushService.unregisterToken(context.auth.uid, token);
+            return { success: true };
+        } catch (error) {
+            logger.error('Error unregistering device token', { error });
+            throw new functions.https.HttpsError('internal', 'Error unregistering device token');
+        }
+    }));
 
-            await batch.commit();
+// Lire les préférences de notification de l'utilisateur connecté
+exports.getNotificationPreferences = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('getNotificationPreferences', async (data, context) => {
+        authorize(context);
 
-            console.log(`Cleanup completed: ${oldAlertsQuery.size} old alerts deleted`);
-            return null;
+        try {
+            const preferences = await preferencesService.getPreferences(context.auth.uid);
+            return { preferences: preferences };
         } catch (error) {
-            console.error('Error in cleanup:', error);
-            throw error;
+            logger.error('Error getting notification preferences', { error });
+            throw new functions.https.HttpsError('internal', 'Error retrieving notification preferences');
         }
-    });
+    }));
 
-// Garder les fonctions de retry et monitoring existantes mais simplifiées
-exports.retryFailedNotifications = functions
+// Mettre à jour (partiellement) les préférences de notification de l'utilisateur connecté
+exports.updateNotificationPreferences = functions
     .region('europe-west1')
-    .pubsub
-    .schedule('0 */2 * * *')
-    .timeZone('Europe/Paris')
-    .onRun(async (context) => {
-        // Logique de retry simplifiée
-        console.log('Retry function - to be implemented if needed');
-        return null;
-    });
+    .https
+    .onCall(traced('updateNotificationPreferences', async (data, context) => {
+        authorize(context);
+
+        try {
+            const preferences = await preferencesService.updatePreferences(context.auth.uid, data && data.preferences);
+            return { success: true, preferences: preferences };
+        } catch (error) {
+            if (error.code === 'INVALID_PREFERENCES') {
+                throw new functions.https.HttpsError('invalid-argument', error.message, { errors: error.details });
+            }
+            logger.error('Error updating notification preferences', { error });
+            throw new functions.https.HttpsError('internal', 'Error updating notification preferences');
+        }
+    }));
+
+// Résoudre un résumé de notification (summaryId du payload push) en liste d'alertes pour l'utilisateur connecté
+exports.getNotificationSummary = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('getNotificationSummary', async (data, context) => {
+        const { uid } = authorize(context);
+
+        const summaryId = data && data.summaryId;
+        if (!summaryId || typeof summaryId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'summaryId is required');
+        }
+
+        let summary;
+        let organizationId;
+        try {
+            [summary, organizationId] = await Promise.all([
+                summaryService.getSummary(summaryId),
+                organizationService.getCallerOrganizationId(context.auth)
+            ]);
+        } catch (error) {
+            logger.error('Error getting notification summary', { summaryId, error });
+            throw new functions.https.HttpsError('internal', 'Error retrieving notification summary');
+        }
+
+        // Un résumé d'une autre organisation, ou propre à un autre utilisateur, est traité comme inexistant
+        if (!summary || summary.organizationId !== organizationId || (summary.userId && summary.userId !== uid)) {
+            throw new functions.https.HttpsError('not-found', 'Notification summary not found');
+        }
+
+        try {
+            // Mêmes niveaux d'alerte que la notification reçue par l'utilisateur
+            const preferences = await preferencesService.getPreferences(uid);
+            const userSummary = preferencesService.filterSummary(summary, preferences);
+
+            return {
+                summary: {
+                    id: userSummary.id,
+                    date: userSummary.date,
+                    type: userSummary.type,
+                    newWarningCount: userSummary.newWarningCount,
+                    newCriticalCount: userSummary.newCriticalCount,
+                    newExpiredCount: userSummary.newExpiredCount
+                },
+                alerts: await summaryService.resolveAlerts(userSummary, uid)
+            };
+        } catch (error) {
+            logger.error('Error resolving notification summary', { summaryId, error });
+            throw new functions.https.HttpsError('internal', 'Error retrieving notification summary');
+        }
+    }));
+
+// Fil paginé des résumés quotidiens de l'organisation, avec le statut d'envoi par canal pour l'utilisateur
+// connecté ; un admin peut consulter celui d'un autre utilisateur de son organisation (userId)
+exports.getNotificationFeed = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('getNotificationFeed', async (data, context) => {
+        const { uid, role } = authorize(context);
+
+        const { limit, pageToken, userId } = data || {};
+        if (pageToken !== undefined && pageToken !== null && typeof pageToken !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'pageToken must be a string');
+        }
+        if (userId !== undefined && userId !== null && typeof userId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'userId must be a string');
+        }
+
+        const targetId = userId || uid;
+        if (targetId !== uid && !hasRole(role, 'admin')) {
+            throw new functions.https.HttpsError('permission-denied', 'Only admins can view another user\'s notification feed');
+        }
+
+        try {
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+
+            if (targetId !== uid && await organizationService.getMemberOrganizationId(targetId) !== organizationId) {
+                throw new functions.https.HttpsError('not-found', 'User not found');
+            }
+
+            const page = await summaryService.getDailyFeed(organizationId, { limit, pageToken });
+            const logsPolicy = retentionService.getPolicy('notification_logs');
+            const delivery = await summaryService.getUserDelivery(
+                targetId,
+                page.summaries.map(({ summary }) => summary),
+                logsPolicy ? retentionService.getCutoff(logsPolicy) : null
+            );
+
+            return {
+                userId: targetId,
+                summaries: page.summaries.map(({ summary, deliveryStats }) => ({
+                    id: summary.id,
+                    date: summary.date,
+                    type: summary.type,
+                    newWarningCount: summary.newWarningCount,
+                    newCriticalCount: summary.newCriticalCount,
+                    newExpiredCount: summary.newExpiredCount,
+                    alertCount: summary.newAlerts.length,
+                    deliveryStats: deliveryStats,
+                    delivery: delivery.get(summary.id)
+                })),
+                nextPageToken: page.nextPageToken
+            };
+        } catch (error) {
+            if (error instanceof functions.https.HttpsError) throw error;
+            logger.error('Error getting notification feed', { error });
+            throw new functions.https.HttpsError('internal', 'Error retrieving notification feed');
+        }
+    }));
+
+// Traduire les erreurs d'AlertActionService en erreurs callable
+function alertActionHttpsError(error, fallbackMessage) {
+    switch (error.code) {
+        case 'INVALID_ARGUMENT':
+            return new functions.https.HttpsError('invalid-argument', error.message);
+        case 'NOT_FOUND':
+            return new functions.https.HttpsError('not-found', error.message);
+        case 'ALREADY_RESOLVED':
+            return new functions.https.HttpsError('failed-precondition', error.message);
+        default:
+            logger.error(fallbackMessage, { error });
+            return new functions.https.HttpsError('internal', fallbackMessage);
+    }
+}
+
+// Mettre une alerte en pause pour l'utilisateur connecté : elle lui est rappelée à la fin de la pause
+exports.snoozeAlert = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('snoozeAlert', async (data, context) => {
+        const { uid } = authorize(context);
+
+        const { alertId, days } = data || {};
+        if (!alertId || typeof alertId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'alertId is required');
+        }
+
+        try {
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+            const { alert, snoozedUntil } = await alertActionService.snooze(alertId, uid, organizationId, days);
+
+            // Rappel livré par deliverDeferredNotifications (préférences et heures calmes réappliquées)
+            const summary = new NotificationSummary(getLocalDate(), 'reminder', `snooze_${alertId}`, organizationId);
+            summary.addAlert(alert, alertId);
+            await admin.firestore().collection('notification_summaries').doc(summary.id).set(summary.toFirestore());
+            await queueNotification(uid, summary, 'snooze', snoozedUntil.toDate());
+
+            return { success: true, snoozedUntil: snoozedUntil.toDate().toISOString() };
+        } catch (error) {
+            throw alertActionHttpsError(error, 'Error snoozing alert');
+        }
+    }));
+
+// Enregistrer l'action menée sur le médicament (détruit, recommandé, remplacé) et résoudre l'alerte
+exports.acknowledgeAlert = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('acknowledgeAlert', async (data, context) => {
+        const { uid } = authorize(context, { role: 'pharmacist' });
+
+        const { alertId, action, note } = data || {};
+        if (!alertId || typeof alertId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'alertId is required');
+        }
+
+        try {
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+            const acknowledgement = await alertActionService.acknowledge(alertId, uid, organizationId, { action, note });
+
+            return {
+                success: true,
+                acknowledgement: { ...acknowledgement, acknowledgedAt: acknowledgement.acknowledgedAt.toDate().toISOString() }
+            };
+        } catch (error) {
+            throw alertActionHttpsError(error, 'Error acknowledging alert');
+        }
+    }));
 
 // Fonction de test SMS (inchangée)
 exports.testSMSService = functions
     .region('europe-west1')
     .https
-    .onCall(async (data, context) => {
-        if (!context.auth) {
-            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-        }
+    .onCall(traced('testSMSService', async (data, context) => {
+        authorize(context, { role: 'admin' });
 
         const phoneNumber = data.phoneNumber;
         if (!phoneNumber) {
@@ -370,193 +1570,307 @@ exports.testSMSService = functions
                 serviceStatus: smsService.getServiceStatus()
             };
         } catch (error) {
-            console.error('Error testing SMS service:', error);
+            logger.error('Error testing SMS service', { error });
             throw new functions.https.HttpsError('internal', 'Error testing SMS service');
         }
-    });
+    }));
 
 // Fonction pour obtenir les statistiques
 exports.getNotificationStats = functions
     .region('europe-west1')
     .https
-    .onCall(async (data, context) => {
-        if (!context.auth) {
-            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-        }
+    .onCall(traced('getNotificationStats', async (data, context) => {
+        const { role } = authorize(context, { role: 'viewer' });
 
         try {
             const days = data.days || 30;
-            const stats = await monitoringService.getRecentStats(days);
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+            const [stats, metrics, retention] = await Promise.all([
+                monitoringService.getRecentStats(days, organizationId),
+                monitoringService.getDeliveryMetrics(days, organizationId),
+                // Exécutions de la rétention, communes à toutes les organisations : admins uniquement
+                hasRole(role, 'admin') ? monitoringService.getRecentRetentionRuns(days) : null
+            ]);
 
             return {
+                organizationId: organizationId,
                 stats: stats,
+                metrics: metrics,
+                retention: retention,
                 generatedAt: admin.firestore.Timestamp.now()
             };
         } catch (error) {
-            console.error('Error getting notification stats:', error);
+            logger.error('Error getting notification stats', { error });
             throw new functions.https.HttpsError('internal', 'Error retrieving stats');
         }
-    });
+    }));
 
-// Fonction de nettoyage automatique étendue
-exports.cleanupOldData = functions
+// Historique d'audit paginé d'une ordonnance ou d'un médicament de l'organisation de l'appelant
+exports.getAuditHistory = functions
     .region('europe-west1')
-    .pubsub
-    .schedule('0 2 * * 0') // Tous les dimanches à 2h
-    .timeZone('Europe/Paris')
-    .onRun(async (context) => {
-        const db = admin.firestore();
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        const cutoffDate = sixMonthsAgo.toISOString().split('T')[0];
+    .https
+    .onCall(traced('getAuditHistory', async (data, context) => {
+        authorize(context, { role: 'viewer' });
+
+        const { entityType, entityId, limit, pageToken } = data || {};
+        if (!['ordonnance', 'medicament'].includes(entityType)) {
+            throw new functions.https.HttpsError('invalid-argument', 'entityType must be ordonnance or medicament');
+        }
+        if (!entityId || typeof entityId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'entityId is required');
+        }
+        if (pageToken !== undefined && pageToken !== null && typeof pageToken !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'pageToken must be a string');
+        }
 
         try {
-            const batch = db.batch();
-            let totalDeleted = 0;
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+            return await auditService.getHistory(entityType, entityId, organizationId, { limit, pageToken });
+        } catch (error) {
+            logger.error('Error getting audit history', { error });
+            throw new functions.https.HttpsError('internal', 'Error retrieving audit history');
+        }
+    }));
 
-            // 1. Nettoyer les anciennes alertes (6 mois)
-            const oldAlertsQuery = await db.collection('medication_alerts')
-                .where('alertDate', '<', cutoffDate)
-                .get();
+// Générer à la demande le rapport d'expiration (CSV + PDF) de l'organisation de l'appelant
+exports.generateExpirationReport = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('generateExpirationReport', async (data, context) => {
+        const caller = authorize(context, { role: 'pharmacist' });
 
-            oldAlertsQuery.docs.forEach(doc => {
-                batch.delete(doc.ref);
-                totalDeleted++;
-            });
+        const period = (data && data.period) || 'weekly';
+        const horizonDays = data && data.days !== undefined ? data.days : null;
+        if (!REPORT_PERIODS[period]) {
+            throw new functions.https.HttpsError('invalid-argument', `period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+        }
+        if (horizonDays !== null && (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > 365)) {
+            throw new functions.https.HttpsError('invalid-argument', 'days must be an integer between 1 and 365');
+        }
 
-            // 2. Nettoyer les tracking des médicaments supprimés
-            const trackingSnapshot = await db.collection('medication_tracking').get();
-            const medicamentsSnapshot = await db.collection('medicaments').get();
-            const existingMedicamentIds = new Set(medicamentsSnapshot.docs.map(doc => doc.id));
+        try {
+            const organizationId = await organizationService.getCallerOrganizationId(context.auth);
+            const generated = await reportService.generate(organizationId, { period, horizonDays, generatedBy: caller.uid });
 
-            trackingSnapshot.docs.forEach(doc => {
-                if (!existingMedicamentIds.has(doc.data().medicamentId)) {
-                    batch.delete(doc.ref);
-                    totalDeleted++;
-                }
-            });
+            return {
+                reportId: generated.id,
+                csvUrl: generated.csvUrl,
+                pdfUrl: generated.pdfUrl,
+                expiresAt: generated.expiresAt,
+                totals: generated.report.totals,
+                alerts: { raised: generated.report.alerts.raised, read: generated.report.alerts.read }
+            };
+        } catch (error) {
+            logger.error('Error generating expiration report', { error });
+            throw new functions.https.HttpsError('internal', 'Error generating expiration report');
+        }
+    }));
 
-            // 3. Nettoyer les anciennes stats (1 an)
-            const oneYearAgo = new Date();
-            oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-            const oneYearCutoff = oneYearAgo.toISOString().split('T')[0];
+// Attribuer ou retirer le rôle d'un utilisateur de la même organisation (admins uniquement)
+// Le premier admin d'une organisation est créé avec l'Admin SDK (setCustomUserClaims)
+exports.setUserRole = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('setUserRole', async (data, context) => {
+        const caller = authorize(context, { role: 'admin' });
 
-            const oldStatsQuery = await db.collection('daily_stats')
-                .where('timestamp', '<', admin.firestore.Timestamp.fromDate(oneYearAgo))
-                .get();
+        const userId = data.uid;
+        const role = data.role === undefined ? null : data.role;
+        if (!userId || typeof userId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'Target user id is required');
+        }
+        if (role !== null && !ROLES.includes(role)) {
+            throw new functions.https.HttpsError('invalid-argument', `Role must be one of: ${ROLES.join(', ')}, or null to revoke`);
+        }
+        if (userId === caller.uid && role !== 'admin') {
+            throw new functions.https.HttpsError('failed-precondition', 'Admins cannot revoke their own admin role');
+        }
 
-            oldStatsQuery.docs.forEach(doc => {
-                batch.delete(doc.ref);
-                totalDeleted++;
-            });
+        try {
+            const userRecord = await admin.auth().getUser(userId);
+            const [callerOrganizationId, targetOrganizationId] = await Promise.all([
+                organizationService.getCallerOrganizationId(context.auth),
+                roleService.getUserOrganizationId(userRecord)
+            ]);
+
+            if (callerOrganizationId !== targetOrganizationId) {
+                throw new functions.https.HttpsError('permission-denied', 'User belongs to another organisation');
+            }
+
+            const result = await roleService.setRole(userId, role, caller.uid, callerOrganizationId);
+            return { success: true, uid: userId, ...result };
+        } catch (error) {
+            if (error instanceof functions.https.HttpsError) throw error;
+            if (error.code === 'auth/user-not-found') {
+                throw new functions.https.HttpsError('not-found', 'User not found');
+            }
+            logger.error('Error setting user role', { error });
+            throw new functions.https.HttpsError('internal', 'Error setting user role');
+        }
+    }));
+
+// Désigner ou retirer un superviseur d'escalade de son organisation (admins uniquement)
+exports.setEscalationSupervisor = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('setEscalationSupervisor', async (data, context) => {
+        const caller = authorize(context, { role: 'admin' });
 
-            await batch.commit();
+        const userId = data.uid;
+        if (!userId || typeof userId !== 'string') {
+            throw new functions.https.HttpsError('invalid-argument', 'Target user id is required');
+        }
+        if (typeof data.enabled !== 'boolean') {
+            throw new functions.https.HttpsError('invalid-argument', 'enabled must be a boolean');
+        }
 
-            // 4. Nettoyer les anciens logs via le service de monitoring
-            await monitoringService.cleanupOldLogs();
+        try {
+            const [callerOrganizationId, targetOrganizationId] = await Promise.all([
+                organizationService.getCallerOrganizationId(context.auth),
+                organizationService.getMemberOrganizationId(userId)
+            ]);
 
-            console.log(`Cleanup completed: ${totalDeleted} records deleted`);
+            if (targetOrganizationId === null) {
+                throw new functions.https.HttpsError('not-found', 'User not found');
+            }
+            if (callerOrganizationId !== targetOrganizationId) {
+                throw new functions.https.HttpsError('permission-denied', 'User belongs to another organisation');
+            }
 
-            // Log de l'opération de nettoyage
-            await monitoringService.logDailyStats(new Date().toISOString().split('T')[0], {
-                cleanupPerformed: true,
-                recordsDeleted: totalDeleted
-            });
+            const result = await roleService.setEscalationSupervisor(userId, data.enabled, caller.uid);
+            return { success: true, uid: userId, ...result };
+        } catch (error) {
+            if (error instanceof functions.https.HttpsError) throw error;
+            logger.error('Error setting escalation supervisor', { error });
+            throw new functions.https.HttpsError('internal', 'Error setting escalation supervisor');
+        }
+    }));
 
+// Appliquer les politiques de rétention de toutes les collections (tous les dimanches à 2h)
+exports.applyRetentionPolicies = functions
+    .region('europe-west1')
+    .pubsub
+    .schedule('0 2 * * 0')
+    .timeZone(FACILITY_TIMEZONE)
+    .onRun(traced('applyRetentionPolicies', async (context) => {
+        try {
+            const result = await retentionService.apply();
+            await recordRetentionRun(result);
             return null;
         } catch (error) {
-            console.error('Error in cleanup:', error);
+            logger.error('Error in applyRetentionPolicies', { error });
             await monitoringService.logNotificationAttempt('system', 'failed', {
-                function: 'cleanupOldData',
+                function: 'applyRetentionPolicies',
                 error: error.message
             });
             throw error;
         }
-    });
+    }));
 
-// Fonction pour nettoyer les collections de notifications (DEV ONLY)
-exports.clearNotificationCollections = functions
-    .region('europe-west1')
-    .https
-    .onCall(async (data, context) => {
-        // Vérifier l'authentification
-        if (!context.auth) {
-            throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
-        }
+// Enregistrer le résultat d'une exécution de la rétention dans le monitoring
+async function recordRetentionRun(result) {
+    await monitoringService.logRetentionRun(result.today, result);
 
-        // SÉCURITÉ: Cette fonction ne devrait être utilisée qu'en développement
-        // Vous pouvez ajouter une vérification supplémentaire ici si nécessaire
-        // Par exemple, vérifier si l'utilisateur est admin ou si on est en mode dev
+    for (const failed of result.collections.filter(collection => collection.error)) {
+        await monitoringService.logNotificationAttempt('system', 'failed', {
+            function: 'applyRetentionPolicies',
+            collection: failed.collection,
+            error: failed.error
+        });
+    }
+}
 
-        const db = admin.firestore();
+// Lancer la rétention à la demande (admins) ; dry-run par défaut pour voir ce qui serait supprimé
+exports.runRetentionPolicies = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('runRetentionPolicies', async (data, context) => {
+        const dryRun = !(data && data.dryRun === false);
+        authorize(context, { role: 'admin', destructive: !dryRun });
 
         try {
-            console.log('Starting to clear notification collections...');
-
-            // Collections à nettoyer
-            const collectionsToDelete = [
-                'daily_stats',
-                'medication_alerts',
-                'medication_tracking',
-                'notification_logs'
-            ];
+            const result = await retentionService.apply({ dryRun });
+            if (!dryRun) {
+                await recordRetentionRun(result);
+            }
+            return result;
+        } catch (error) {
+            logger.error('Error running retention policies', { error });
+            throw new functions.https.HttpsError('internal', 'Error running retention policies');
+        }
+    }));
 
-            let totalDeleted = 0;
-            const results = {};
+// Collections vidées par clearNotificationCollections
+const CLEARABLE_COLLECTIONS = ['daily_stats', 'medication_alerts', 'medication_tracking', 'notification_logs'];
 
-            // Nettoyer chaque collection
-            for (const collectionName of collectionsToDelete) {
-                console.log(`Clearing collection: ${collectionName}`);
+// Références à supprimer pour une organisation : ses alertes, le tracking de leurs médicaments,
+// ses statistiques et les logs de livraison qui la portent (les logs système, globaux, sont conservés)
+async function getOrganizationNotificationRefs(db, organizationId) {
+    const alertDocs = await organizationService.getDocuments('medication_alerts', organizationId);
+    const tracking = await loadTracking(db, [...new Set(alertDocs.map(doc => doc.data().medicamentId))]);
+    const [statsSnapshot, logsSnapshot] = await Promise.all([
+        db.collection('daily_stats').where('organizationId', '==', organizationId).get(),
+        db.collection('notification_logs').where('details.organizationId', '==', organizationId).get()
+    ]);
 
-                const collectionRef = db.collection(collectionName);
-                const snapshot = await collectionRef.get();
+    return {
+        daily_stats: statsSnapshot.docs.map(doc => doc.ref),
+        medication_alerts: alertDocs.map(doc => doc.ref),
+        medication_tracking: [...tracking.keys()].map(id => db.collection('medication_tracking').doc(id)),
+        notification_logs: logsSnapshot.docs.map(doc => doc.ref)
+    };
+}
 
-                console.log(`Found ${snapshot.size} documents in ${collectionName}`);
+// Fonction pour nettoyer les collections de notifications (DEV ONLY)
+// Autorisée dans l'émulateur (tout est vidé) ou aux admins, limitée alors à leur organisation
+exports.clearNotificationCollections = functions
+    .region('europe-west1')
+    .https
+    .onCall(traced('clearNotificationCollections', async (data, context) => {
+        authorize(context, { destructive: true });
 
-                if (snapshot.size > 0) {
-                    // Utiliser un batch pour supprimer par groupes de 500 (limite Firestore)
-                    const batches = [];
-                    let batch = db.batch();
-                    let batchCount = 0;
+        const db = admin.firestore();
 
-                    snapshot.docs.forEach((doc) => {
-                        batch.delete(doc.ref);
-                        batchCount++;
+        try {
+            const organizationId = isEmulator() ? null : await organizationService.getCallerOrganizationId(context.auth);
+            logger.info('Starting to clear notification collections', { organizationId });
 
-                        // Firestore limite les batches à 500 opérations
-                        if (batchCount === 500) {
-                            batches.push(batch);
-                            batch = db.batch();
-                            batchCount = 0;
-                        }
-                    });
+            const refsByCollection = {};
+            if (organizationId) {
+                Object.assign(refsByCollection, await getOrganizationNotificationRefs(db, organizationId));
+            } else {
+                for (const collectionName of CLEARABLE_COLLECTIONS) {
+                    refsByCollection[collectionName] = (await db.collection(collectionName).get()).docs.map(doc => doc.ref);
+                }
+            }
 
-                    // Ajouter le dernier batch s'il contient des opérations
-                    if (batchCount > 0) {
-                        batches.push(batch);
-                    }
+            let totalDeleted = 0;
+            const results = {};
+            const writer = createBulkWriter(db);
 
-                    // Exécuter tous les batches
-                    await Promise.all(batches.map(b => b.commit()));
+            for (const collectionName of CLEARABLE_COLLECTIONS) {
+                const refs = refsByCollection[collectionName];
+                logger.info('Clearing collection', { collection: collectionName, count: refs.length });
 
-                    results[collectionName] = snapshot.size;
-                    totalDeleted += snapshot.size;
-                } else {
-                    results[collectionName] = 0;
-                }
+                refs.forEach(ref => writer.delete(ref));
+                results[collectionName] = refs.length;
+                totalDeleted += refs.length;
             }
 
-            console.log(`Successfully cleared ${totalDeleted} documents across all collections`);
+            await writer.close();
+
+            logger.info('Notification collections cleared', { organizationId, totalDeleted });
 
             return {
                 success: true,
+                organizationId: organizationId,
                 totalDeleted: totalDeleted,
                 collections: results,
                 message: `Successfully cleared ${totalDeleted} documents`
             };
 
         } catch (error) {
-            console.error('Error clearing notification collections:', error);
+            logger.error('Error clearing notification collections', { error });
             throw new functions.https.HttpsError('internal', 'Error clearing collections: ' + error.message);
         }
-    });
\ No newline at end of file
+    }));
\ No newline at end of file
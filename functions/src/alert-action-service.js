@@ -0,0 +1,113 @@
+const admin = require('firebase-admin');
+const { MedicationAlert } = require('./models');
+const { getOrganizationId } = require('./organization-service');
+const { logger } = require('./logger');
+
+// Actions enregistrées lorsqu'un médicament en alerte a été traité
+const ACKNOWLEDGEMENT_ACTIONS = ['disposed', 'reordered', 'replaced'];
+
+// Durée maximale d'une mise en pause (jours)
+const MAX_SNOOZE_DAYS = 30;
+const MAX_NOTE_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function actionError(code, message) {
+    const error = new Error(message);
+    error.code = code; // 'INVALID_ARGUMENT', 'NOT_FOUND', 'ALREADY_RESOLVED'
+    return error;
+}
+
+class AlertActionService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    validateSnooze(days) {
+        if (!Number.isInteger(days) || days < 1 || days > MAX_SNOOZE_DAYS) {
+            return [`days must be an integer between 1 and ${MAX_SNOOZE_DAYS}`];
+        }
+        return [];
+    }
+
+    validateAcknowledgement(action, note) {
+        const errors = [];
+        if (!ACKNOWLEDGEMENT_ACTIONS.includes(action)) {
+            errors.push(`action must be one of: ${ACKNOWLEDGEMENT_ACTIONS.join(', ')}`);
+        }
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+            errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+        }
+        return errors;
+    }
+
+    // Alerte active de l'organisation de l'appelant ; une alerte d'une autre organisation est traitée comme inexistante
+    async getOpenAlert(transaction, alertRef, organizationId) {
+        const doc = await transaction.get(alertRef);
+        if (!doc.exists || getOrganizationId(doc.data()) !== organizationId) {
+            throw actionError('NOT_FOUND', 'Alert not found');
+        }
+
+        const alert = MedicationAlert.fromFirestore(doc.data());
+        if (!alert.isActive()) {
+            throw actionError('ALREADY_RESOLVED', 'Alert is already resolved');
+        }
+        return alert;
+    }
+
+    // Mettre l'alerte en pause pour un utilisateur ; retourne { alert, snoozedUntil }
+    async snooze(alertId, userId, organizationId, days, now = Date.now()) {
+        const errors = this.validateSnooze(days);
+        if (errors.length > 0) {
+            throw actionError('INVALID_ARGUMENT', errors.join('; '));
+        }
+
+        const alertRef = this.db.collection('medication_alerts').doc(alertId);
+        const snoozedUntil = admin.firestore.Timestamp.fromMillis(now + days * DAY_MS);
+
+        const alert = await this.db.runTransaction(async transaction => {
+            const openAlert = await this.getOpenAlert(transaction, alertRef, organizationId);
+            transaction.update(alertRef, {
+                [`userStates.${userId}.snoozedUntil`]: snoozedUntil,
+                [`userStates.${userId}.snoozedAt`]: admin.firestore.Timestamp.fromMillis(now)
+            });
+            return openAlert;
+        });
+
+        logger.info('Alert snoozed', { alertId, userId, days });
+        return { alert, snoozedUntil };
+    }
+
+    // Enregistrer l'action menée sur le médicament et résoudre l'alerte ; retourne l'acquittement
+    async acknowledge(alertId, userId, organizationId, { action, note = null }) {
+        const errors = this.validateAcknowledgement(action, note);
+        if (errors.length > 0) {
+            throw actionError('INVALID_ARGUMENT', errors.join('; '));
+        }
+
+        const alertRef = this.db.collection('medication_alerts').doc(alertId);
+        const now = admin.firestore.Timestamp.now();
+        const acknowledgement = { action, note: note || null, acknowledgedBy: userId, acknowledgedAt: now };
+
+        await this.db.runTransaction(async transaction => {
+            await this.getOpenAlert(transaction, alertRef, organizationId);
+            transaction.update(alertRef, {
+                acknowledgement: acknowledgement,
+                status: 'resolved',
+                resolvedAt: now,
+                resolutionReason: 'action_taken'
+            });
+        });
+
+        logger.info('Alert acknowledged', { alertId, userId, action });
+        return acknowledgement;
+    }
+
+    // Indique si une alerte mise en pause doit encore être rappelée (ni résolue, ni supprimée)
+    async isOpen(alertId) {
+        const doc = await this.db.collection('medication_alerts').doc(alertId).get();
+        return doc.exists && MedicationAlert.fromFirestore(doc.data()).isActive();
+    }
+}
+
+module.exports = { AlertActionService, ACKNOWLEDGEMENT_ACTIONS, MAX_SNOOZE_DAYS };
@@ -0,0 +1,118 @@
+const admin = require('firebase-admin');
+const { getOrganizationId } = require('./organization-service');
+const { logger } = require('./logger');
+
+// Champs techniques ignorés dans les différences
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Taille de page par défaut et maximale de l'historique
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Comparer deux valeurs Firestore (Timestamp, objets, tableaux...)
+function isSameValue(a, b) {
+    if (a && typeof a.isEqual === 'function' && b) {
+        return a.isEqual(b);
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Différence champ par champ entre deux versions d'un document : { champ: { before, after } }
+function diffDocuments(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const beforeValue = before && before[field] !== undefined ? before[field] : null;
+        const afterValue = after && after[field] !== undefined ? after[field] : null;
+        if (!isSameValue(beforeValue, afterValue)) {
+            changes[field] = { before: beforeValue, after: afterValue };
+        }
+    });
+
+    return changes;
+}
+
+class AuditService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Construire l'entrée d'audit d'une écriture ; null si aucun champ suivi n'a changé
+    buildEntry(entityType, entityId, before, after, organizationId) {
+        const action = !before ? 'create' : (!after ? 'delete' : 'update');
+        const changes = diffDocuments(before, after);
+        if (Object.keys(changes).length === 0) {
+            return null;
+        }
+
+        // Une suppression ne porte pas d'auteur : on ne peut pas l'attribuer
+        const actor = after ? (after.updatedBy || after.createdBy || null) : null;
+
+        return {
+            entityType: entityType, // 'ordonnance', 'medicament'
+            entityId: entityId,
+            organizationId: organizationId,
+            action: action,
+            actor: actor,
+            changes: changes
+        };
+    }
+
+    // Ajouter une entrée au journal pour l'événement du trigger (id déterministe : une réexécution n'écrit rien)
+    async record(entityType, entityId, change, context, ordonnance = null) {
+        const before = change.before.exists ? change.before.data() : null;
+        const after = change.after.exists ? change.after.data() : null;
+        const organizationId = getOrganizationId(ordonnance || after || before);
+
+        const entry = this.buildEntry(entityType, entityId, before, after, organizationId);
+        if (!entry) {
+            return null;
+        }
+
+        // Id préfixé par l'horodatage de l'événement : l'historique se trie par id, sans index composite
+        const timestamp = admin.firestore.Timestamp.fromDate(new Date(context.timestamp));
+        const entryId = `${String(timestamp.toMillis()).padStart(13, '0')}_${context.eventId}`;
+
+        try {
+            await this.db.collection('audit_log').doc(entryId).create({
+                ...entry,
+                eventId: context.eventId,
+                timestamp: timestamp
+            });
+            logger.info('Audit entry recorded', { action: entry.action, entityType, entityId, actor: entry.actor || null });
+        } catch (error) {
+            // ALREADY_EXISTS : événement déjà journalisé
+            if (error.code !== 6) throw error;
+        }
+
+        return entryId;
+    }
+
+    // Historique paginé d'une entité, du plus récent au plus ancien
+    async getHistory(entityType, entityId, organizationId, { limit = DEFAULT_PAGE_SIZE, pageToken = null } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        let query = this.db.collection('audit_log')
+            .where('entityType', '==', entityType)
+            .where('entityId', '==', entityId)
+            .where('organizationId', '==', organizationId)
+            .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+            .limit(pageSize);
+        if (pageToken) {
+            query = query.startAfter(pageToken);
+        }
+
+        const snapshot = await query.get();
+        const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        return {
+            entries: entries,
+            nextPageToken: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+        };
+    }
+}
+
+module.exports = { AuditService, diffDocuments, isSameValue };
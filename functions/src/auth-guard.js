@@ -0,0 +1,42 @@
+const functions = require('firebase-functions/v1');
+
+// Rôles portés par les custom claims (claim "role"), du plus restreint au plus étendu
+const ROLES = ['viewer', 'pharmacist', 'admin'];
+
+// Indique si la fonction tourne dans l'émulateur Firebase
+function isEmulator() {
+    return process.env.FUNCTIONS_EMULATOR === 'true';
+}
+
+// Rôle de l'appelant, ou null s'il n'en a pas
+function getRole(auth) {
+    const role = auth && auth.token ? auth.token.role : null;
+    return ROLES.includes(role) ? role : null;
+}
+
+// Indique si un rôle a au moins les droits du rôle demandé
+function hasRole(role, minimumRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+// Garde commune des fonctions callable : authentification, rôle minimal, opérations destructives
+// (réservées aux admins hors émulateur). Retourne { uid, role } ou lève une HttpsError.
+function authorize(context, { role = null, destructive = false } = {}) {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const callerRole = getRole(context.auth);
+
+    if (role && !hasRole(callerRole, role)) {
+        throw new functions.https.HttpsError('permission-denied', `Role ${role} or higher is required`);
+    }
+
+    if (destructive && !isEmulator() && callerRole !== 'admin') {
+        throw new functions.https.HttpsError('permission-denied', 'Destructive operations are restricted to admins outside the emulator');
+    }
+
+    return { uid: context.auth.uid, role: callerRole };
+}
+
+module.exports = { ROLES, authorize, getRole, hasRole, isEmulator };
@@ -0,0 +1,196 @@
+const functions = require('firebase-functions/v1');
+const nodemailer = require('nodemailer');
+const { toDate } = require('./medication-status');
+const { getLocalDate } = require('./facility-time');
+const { logger } = require('./logger');
+
+const LEVEL_LABELS = {
+    expired: '🚨 Expiré',
+    critical: '⚠️ Critique',
+    warning: '🟡 En alerte'
+};
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+class EmailService {
+    // transport : transport nodemailer à utiliser (par défaut, SMTP selon functions.config().smtp)
+    constructor(transport = null) {
+        try {
+            const config = functions.config();
+            const smtp = config.smtp || {};
+
+            this.from = smtp.from || 'Prescription Manager <no-reply@prescription-manager.app>';
+            // Sans app.url configurée, les emails partent sans liens plutôt que vers une adresse devinée
+            this.appUrl = config.app && config.app.url ? String(config.app.url).replace(/\/+$/, '') : null;
+
+            if (transport) {
+                this.transporter = transport;
+            } else if (smtp.host) {
+                this.transporter = nodemailer.createTransport({
+                    host: smtp.host,
+                    port: Number(smtp.port || 587),
+                    secure: smtp.secure === 'true' || smtp.secure === true,
+                    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+                });
+            } else {
+                this.transporter = null;
+            }
+
+            this.isEnabled = !!this.transporter;
+            logger.info(this.isEnabled ? 'Email service initialized' : 'SMTP not configured - email digest disabled');
+            if (this.isEnabled && !this.appUrl) {
+                logger.warn('app.url not configured - emails sent without app links');
+            }
+        } catch (error) {
+            logger.error('Error initializing email service', { error });
+            this.isEnabled = false;
+        }
+    }
+
+    // Envoyer un email (HTML + texte brut)
+    async sendEmail(to, subject, html, text) {
+        if (!this.isEnabled) {
+            logger.info('Email service disabled, email not sent', { email: to, subject });
+            return { success: false, reason: 'Email service not configured' };
+        }
+
+        try {
+            const info = await this.transporter.sendMail({ from: this.from, to, subject, html, text });
+            logger.info('Email sent', { email: to, messageId: info.messageId });
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            logger.error('Error sending email', { email: to, error });
+            return { success: false, error: error.message, code: error.code || 'UNKNOWN_ERROR' };
+        }
+    }
+
+    // Lien vers le médicament dans l'application (null sans app.url)
+    getMedicamentUrl(alert) {
+        if (!this.appUrl) return null;
+        return `${this.appUrl}/ordonnances/${encodeURIComponent(alert.ordonnanceId)}/medicaments/${encodeURIComponent(alert.medicamentId)}`;
+    }
+
+    // Date d'expiration au format JJ/MM/AAAA
+    formatExpirationDate(expirationDate) {
+        const date = expirationDate ? toDate(expirationDate) : null;
+        if (!date) return '-';
+
+        const [year, month, day] = getLocalDate(date).split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    // Regrouper les nouvelles alertes par patient (puis par ordonnance)
+    groupAlertsByPatient(alerts) {
+        const groups = new Map();
+        alerts.forEach(alert => {
+            const key = `${alert.patientName || ''}|${alert.ordonnanceId}`;
+            if (!groups.has(key)) {
+                groups.set(key, { patientName: alert.patientName || 'Patient inconnu', ordonnanceId: alert.ordonnanceId, alerts: [] });
+            }
+            groups.get(key).alerts.push(alert);
+        });
+
+        return [...groups.values()].sort((a, b) => a.patientName.localeCompare(b.patientName, 'fr'));
+    }
+
+    // Créer le digest quotidien des nouvelles alertes
+    createDailyDigest(summary) {
+        const total = summary.newAlerts.length;
+        const subject = `Prescription Manager - ${total} nouvelle${total > 1 ? 's' : ''} alerte${total > 1 ? 's' : ''} du ${summary.date}`;
+        const groups = this.groupAlertsByPatient(summary.newAlerts);
+
+        const textLines = [`Alertes médicaments du ${summary.date}`, ''];
+        const htmlSections = [];
+
+        groups.forEach(group => {
+            textLines.push(group.patientName);
+
+            const rows = group.alerts.map(alert => {
+                const expiration = this.formatExpirationDate(alert.expirationDate);
+                const url = this.getMedicamentUrl(alert);
+                textLines.push(`  - ${alert.medicamentName} : ${LEVEL_LABELS[alert.alertLevel] || alert.alertLevel}, expire le ${expiration}`);
+                if (url) {
+                    textLines.push(`    ${url}`);
+                }
+
+                const name = url
+                    ? `<a href="${escapeHtml(url)}">${escapeHtml(alert.medicamentName)}</a>`
+                    : escapeHtml(alert.medicamentName);
+                return `<tr><td>${name}</td>` +
+                    `<td>${escapeHtml(LEVEL_LABELS[alert.alertLevel] || alert.alertLevel)}</td>` +
+                    `<td>${escapeHtml(expiration)}</td></tr>`;
+            });
+
+            textLines.push('');
+            htmlSections.push(
+                `<h3>${escapeHtml(group.patientName)}</h3>` +
+                '<table cellpadding="4"><tr><th align="left">Médicament</th><th align="left">Niveau</th><th align="left">Expiration</th></tr>' +
+                rows.join('') +
+                '</table>'
+            );
+        });
+
+        let html = `<h2>Alertes médicaments du ${escapeHtml(summary.date)}</h2>` + htmlSections.join('');
+        if (this.appUrl) {
+            textLines.push(`Ouvrir l'application : ${this.appUrl}/notifications`);
+            html += `<p><a href="${escapeHtml(this.appUrl)}/notifications">Ouvrir l'application</a></p>`;
+        }
+
+        return { subject, html, text: textLines.join('\n') };
+    }
+
+    // Créer l'email d'envoi d'un rapport d'expiration (liens de téléchargement signés)
+    createReportEmail(generated) {
+        const { report } = generated;
+        const label = report.period === 'monthly' ? 'mensuel' : 'hebdomadaire';
+        const subject = `Prescription Manager - Rapport ${label} d'expiration du ${report.today}`;
+        const summaryLine = `${report.totals.medicaments} médicament(s) expirant dans les ${report.horizonDays} jours ` +
+            `(${report.totals.expired} expiré(s), ${report.totals.critical} critique(s), ${report.totals.warning} en alerte). ` +
+            `${report.alerts.raised} alerte(s) levée(s) du ${report.periodStart} au ${report.periodEnd}, ${report.alerts.read} lue(s).`;
+
+        const text = [
+            `Rapport ${label} d'expiration du ${report.today}`,
+            '',
+            summaryLine,
+            '',
+            `CSV : ${generated.csvUrl}`,
+            `PDF : ${generated.pdfUrl}`,
+            '',
+            `Liens valables jusqu'au ${this.formatExpirationDate(new Date(generated.expiresAt))}.`
+        ].join('\n');
+
+        const html = `<h2>Rapport ${label} d'expiration du ${escapeHtml(report.today)}</h2>` +
+            `<p>${escapeHtml(summaryLine)}</p>` +
+            `<p><a href="${escapeHtml(generated.csvUrl)}">Télécharger le CSV</a> - <a href="${escapeHtml(generated.pdfUrl)}">Télécharger le PDF</a></p>` +
+            `<p>Liens valables jusqu'au ${escapeHtml(this.formatExpirationDate(new Date(generated.expiresAt)))}.</p>`;
+
+        return { subject, html, text };
+    }
+
+    // Créer l'email d'une alerte d'exploitation destinée aux admins
+    createAdminAlertEmail(title, body) {
+        return {
+            subject: `Prescription Manager - ${title}`,
+            html: `<h2>${escapeHtml(title)}</h2><p>${escapeHtml(body)}</p>`,
+            text: `${title}\n\n${body}`
+        };
+    }
+
+    // Obtenir le statut du service email
+    getServiceStatus() {
+        return {
+            enabled: this.isEnabled,
+            provider: 'SMTP',
+            from: this.from
+        };
+    }
+}
+
+module.exports = { EmailService };
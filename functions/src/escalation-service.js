@@ -0,0 +1,127 @@
+const admin = require('firebase-admin');
+const { MedicationAlert } = require('./models');
+const { STATUS_PRIORITY } = require('./medication-status');
+const { OrganizationService } = require('./organization-service');
+const { logger } = require('./logger');
+
+// Délais par défaut (heures depuis la levée de l'alerte) : rappel, puis SMS au superviseur
+const DEFAULT_ESCALATION = { reminderHours: 4, supervisorHours: 24 };
+
+// Niveaux d'alerte escaladés tant que personne ne les a lus
+const ESCALATION_LEVELS = ['critical', 'expired'];
+
+// Étapes de la chaîne, dans l'ordre
+const ESCALATION_STEPS = ['reminder', 'supervisor'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Une alerte est prise en compte dès qu'un utilisateur l'a lue ou traitée, ou tant qu'elle est en pause :
+// une pause expirée relance l'escalade
+function isAcknowledged(alert, now = Date.now()) {
+    return !!alert.acknowledgement ||
+        Object.values(alert.userStates || {}).some(state => state &&
+            (state.isRead || (state.snoozedUntil && state.snoozedUntil.toMillis() > now)));
+}
+
+class EscalationService {
+    constructor() {
+        this.db = admin.firestore();
+        this.organizationService = new OrganizationService();
+    }
+
+    // Charger les délais depuis settings/escalation (valeurs invalides ignorées)
+    async getSettings() {
+        try {
+            const doc = await this.db.collection('settings').doc('escalation').get();
+            return this.mergeSettings(DEFAULT_ESCALATION, doc.exists ? doc.data() : {});
+        } catch (error) {
+            logger.error('Error loading escalation settings, using defaults', { error });
+            return { ...DEFAULT_ESCALATION };
+        }
+    }
+
+    mergeSettings(base, override) {
+        const merged = { ...base };
+
+        ['reminderHours', 'supervisorHours'].forEach(key => {
+            if (override[key] === undefined || override[key] === null) return;
+
+            if (typeof override[key] === 'number' && override[key] > 0) {
+                merged[key] = override[key];
+            } else {
+                logger.warn('Ignoring invalid escalation delay', { key, value: override[key] });
+            }
+        });
+
+        // Le superviseur n'est prévenu qu'après le rappel
+        if (merged.supervisorHours <= merged.reminderHours) {
+            logger.warn('supervisorHours <= reminderHours, keeping default escalation delays', { ...merged });
+            return { ...DEFAULT_ESCALATION };
+        }
+
+        return merged;
+    }
+
+    // Prochaine étape due pour une alerte, ou null (alerte lue, résolue, non escaladée ou délai non atteint)
+    getDueStep(alert, settings, now = Date.now()) {
+        if (!alert.isActive() || !ESCALATION_LEVELS.includes(alert.alertLevel) || isAcknowledged(alert, now)) {
+            return null;
+        }
+
+        const done = alert.escalationSteps.map(step => step.step);
+        const next = ESCALATION_STEPS.find(step => !done.includes(step));
+        if (!next || !alert.createdAt) {
+            return null;
+        }
+
+        const delayHours = next === 'reminder' ? settings.reminderHours : settings.supervisorHours;
+        return this.getElapsedHours(alert, now) >= delayHours ? next : null;
+    }
+
+    // Heures écoulées depuis la levée de l'alerte
+    getElapsedHours(alert, now = Date.now()) {
+        return Math.floor((now - alert.createdAt.toMillis()) / HOUR_MS);
+    }
+
+    // Alertes actives escaladables ; seule la plus grave de chaque médicament est retenue
+    async getActiveAlerts() {
+        const snapshot = await this.db.collection('medication_alerts')
+            .where('status', '==', 'active')
+            .where('alertLevel', 'in', ESCALATION_LEVELS)
+            .get();
+
+        const byMedicament = new Map();
+        snapshot.docs.forEach(doc => {
+            const alert = MedicationAlert.fromFirestore(doc.data());
+            const current = byMedicament.get(alert.medicamentId);
+            if (!current || STATUS_PRIORITY[alert.alertLevel] > STATUS_PRIORITY[current.alert.alertLevel]) {
+                byMedicament.set(alert.medicamentId, { id: doc.id, alert });
+            }
+        });
+
+        return [...byMedicament.values()];
+    }
+
+    // Profils des superviseurs désignés de l'organisation : claim escalationSupervisor posé par setEscalationSupervisor
+    // (le champ du profil n'est qu'une copie d'affichage, modifiable par l'utilisateur)
+    async getSupervisors(organizationId) {
+        const members = await this.organizationService.getMemberRecords(organizationId);
+        return await this.organizationService.getProfiles(members
+            .filter(record => (record.customClaims || {}).escalationSupervisor === true)
+            .map(record => record.uid));
+    }
+
+    // Enregistrer une étape sur l'alerte : { step, at, ...détails }
+    async recordStep(alertId, step, details = {}) {
+        await this.db.collection('medication_alerts').doc(alertId).update({
+            escalationSteps: admin.firestore.FieldValue.arrayUnion({
+                step,
+                at: admin.firestore.Timestamp.now(),
+                ...details
+            }),
+            escalationLevel: step
+        });
+    }
+}
+
+module.exports = { EscalationService, DEFAULT_ESCALATION, ESCALATION_LEVELS, ESCALATION_STEPS, isAcknowledged };
@@ -0,0 +1,118 @@
+const functions = require('firebase-functions/v1');
+const { logger } = require('./logger');
+
+// Fuseau horaire de l'établissement : toutes les dates "du jour" sont des jours calendaires dans ce fuseau
+function loadFacilityTimeZone() {
+    try {
+        const config = functions.config();
+        if (config.facility && config.facility.timezone) {
+            return config.facility.timezone;
+        }
+    } catch (error) {
+        logger.error('Error reading facility timezone config', { error });
+    }
+    return 'Europe/Paris';
+}
+
+const FACILITY_TIMEZONE = loadFacilityTimeZone();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date calendaire (YYYY-MM-DD) d'un instant dans le fuseau donné
+function getLocalDate(date = new Date(), timeZone = FACILITY_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function parseDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return { year, month, day };
+}
+
+function formatDate(utcDate) {
+    return utcDate.toISOString().split('T')[0];
+}
+
+// Ajouter des jours calendaires à une date YYYY-MM-DD (insensible aux changements d'heure)
+function addDays(dateString, days) {
+    const { year, month, day } = parseDate(dateString);
+    return formatDate(new Date(Date.UTC(year, month - 1, day + days)));
+}
+
+// Ajouter des mois calendaires, en restant sur le dernier jour du mois si nécessaire (31/03 - 1 mois = 28/02)
+function addMonths(dateString, months) {
+    const { year, month, day } = parseDate(dateString);
+    const lastDayOfTarget = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return formatDate(new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfTarget))));
+}
+
+// Nombre de jours calendaires entre deux dates YYYY-MM-DD
+function daysBetween(fromDateString, toDateString) {
+    const from = parseDate(fromDateString);
+    const to = parseDate(toDateString);
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+}
+
+// Décalage (ms) du fuseau par rapport à UTC à un instant donné
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant correspondant à une heure locale (minutes depuis minuit) d'un jour calendaire dans le fuseau donné
+function localTimeToDate(dateString, minutes, timeZone = FACILITY_TIMEZONE) {
+    const { year, month, day } = parseDate(dateString);
+    const localAsUTC = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+
+    // Deux passes : le décalage à l'heure locale peut différer de celui à l'heure UTC un jour de changement d'heure
+    let instant = localAsUTC - getTimeZoneOffset(new Date(localAsUTC), timeZone);
+    instant = localAsUTC - getTimeZoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+// Instant de minuit (début du jour calendaire) dans le fuseau donné
+function startOfLocalDay(dateString, timeZone = FACILITY_TIMEZONE) {
+    return localTimeToDate(dateString, 0, timeZone);
+}
+
+// Heure locale d'un instant, en minutes depuis minuit dans le fuseau donné
+function getLocalMinutes(date = new Date(), timeZone = FACILITY_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return get('hour') * 60 + get('minute');
+}
+
+module.exports = {
+    FACILITY_TIMEZONE,
+    getLocalDate,
+    addDays,
+    addMonths,
+    daysBetween,
+    startOfLocalDay,
+    localTimeToDate,
+    getLocalMinutes
+};
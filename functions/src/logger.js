@@ -0,0 +1,95 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { write } = require('firebase-functions/logger');
+
+// Contexte de l'invocation en cours : nom de la fonction et identifiant de corrélation (run)
+const invocationContext = new AsyncLocalStorage();
+
+// Champs contenant des données personnelles, masqués dans les logs
+const REDACTED_FIELDS = ['phoneNumber', 'to', 'patientName', 'email'];
+
+// Numéros internationaux (+33612345678) et français (06 12 34 56 78)
+const PHONE_PATTERN = /\+\d{8,15}\b|\b0\d([ .-]?\d{2}){4}\b/g;
+
+// Adresses email citées dans un texte (messages d'erreur SMTP)
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+// Masquer un numéro de téléphone en gardant les deux derniers chiffres
+function maskPhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    return `***${digits.slice(-2)}`;
+}
+
+// Masquer récursivement les champs sensibles, les numéros et les adresses email présents dans le texte
+function redact(value, key = null) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    if (key && REDACTED_FIELDS.includes(key)) {
+        return key === 'phoneNumber' || key === 'to' ? maskPhone(value) : '[REDACTED]';
+    }
+
+    if (value instanceof Error) {
+        return { message: redact(value.message), code: value.code || null, stack: value.stack };
+    }
+
+    if (typeof value === 'string') {
+        return value.replace(EMAIL_PATTERN, '[REDACTED]').replace(PHONE_PATTERN, match => maskPhone(match));
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+
+    if (typeof value === 'object' && typeof value.toMillis !== 'function') {
+        const result = {};
+        Object.keys(value).forEach(field => {
+            result[field] = redact(value[field], field);
+        });
+        return result;
+    }
+
+    return value;
+}
+
+// Identifiant de corrélation de l'invocation en cours
+function getCorrelationId() {
+    const context = invocationContext.getStore();
+    return context ? context.correlationId : null;
+}
+
+// Nom de la fonction Cloud en cours d'exécution
+function getFunctionName() {
+    const context = invocationContext.getStore();
+    return context ? context.functionName : null;
+}
+
+// Envelopper le handler d'une Cloud Function : toute la chaîne d'appels partage le même contexte
+// (l'eventId pour les fonctions planifiées et les triggers, un identifiant généré pour les callables)
+function traced(functionName, handler) {
+    return (...args) => {
+        const context = args[args.length - 1] || {};
+        const correlationId = context.eventId || crypto.randomUUID();
+        return invocationContext.run({ functionName, correlationId }, () => handler(...args));
+    };
+}
+
+function log(severity, message, fields = {}) {
+    write({
+        severity,
+        message: redact(message),
+        functionName: getFunctionName(),
+        correlationId: getCorrelationId(),
+        ...redact(fields)
+    });
+}
+
+const logger = {
+    debug: (message, fields) => log('DEBUG', message, fields),
+    info: (message, fields) => log('INFO', message, fields),
+    warn: (message, fields) => log('WARNING', message, fields),
+    error: (message, fields) => log('ERROR', message, fields)
+};
+
+module.exports = { logger, traced, getCorrelationId, getFunctionName, redact };
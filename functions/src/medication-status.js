@@ -0,0 +1,151 @@
+const admin = require('firebase-admin');
+const { MedicationAlert, MedicationTracking } = require('./models');
+const { DEFAULT_THRESHOLDS } = require('./threshold-service');
+const { getLocalDate, daysBetween } = require('./facility-time');
+const { getOrganizationId } = require('./organization-service');
+const { logger } = require('./logger');
+
+// Convertir une date d'expiration (Timestamp, Date, chaîne ISO ou { _seconds }) en Date, ou null
+function toDate(expirationDate) {
+    let date;
+
+    if (expirationDate && typeof expirationDate.toDate === 'function') {
+        date = expirationDate.toDate();
+    } else if (expirationDate instanceof Date) {
+        date = expirationDate;
+    } else if (typeof expirationDate === 'string') {
+        date = new Date(expirationDate);
+    } else if (expirationDate && typeof expirationDate === 'object' && expirationDate._seconds) {
+        date = new Date(expirationDate._seconds * 1000);
+    } else {
+        logger.error('Unsupported expiration date format', { expirationDate });
+        return null;
+    }
+
+    if (isNaN(date.getTime())) {
+        logger.error('Invalid expiration date', { expirationDate });
+        return null;
+    }
+
+    return date;
+}
+
+// Fonction utilitaire pour déterminer le statut d'un médicament selon les seuils applicables
+function getMedicationStatus(expirationDate, thresholds = DEFAULT_THRESHOLDS, now = new Date()) {
+    try {
+        const expDate = toDate(expirationDate);
+        if (!expDate) {
+            return 'unknown';
+        }
+
+        // Jours calendaires dans le fuseau de l'établissement (et non millisecondes brutes)
+        const diffInDays = daysBetween(getLocalDate(now), getLocalDate(expDate));
+
+        if (diffInDays < 0) {
+            return 'expired';
+        } else if (diffInDays <= thresholds.criticalDays) {
+            return 'critical';
+        } else if (diffInDays <= thresholds.warningDays) {
+            return 'warning';
+        } else {
+            return 'ok';
+        }
+
+    } catch (error) {
+        logger.error('Error in getMedicationStatus', { error });
+        return 'unknown';
+    }
+}
+
+// Priorité des statuts : une alerte n'est créée que lorsque le statut s'aggrave
+const STATUS_PRIORITY = { 'ok': 0, 'warning': 1, 'critical': 2, 'expired': 3 };
+
+// Évaluer un médicament par rapport à son tracking (logique partagée par le scheduler et les triggers)
+function evaluateMedicament({ medicament, ordonnance, thresholds, existingTrack, today, source }) {
+    const currentStatus = getMedicationStatus(medicament.expirationDate, thresholds);
+    const previousStatus = existingTrack ? existingTrack.lastStatus : 'ok';
+
+    // Statut amélioré (date corrigée, boîte renouvelée) : les alertes plus graves doivent être résolues
+    const isImproved = currentStatus !== 'unknown' &&
+        STATUS_PRIORITY[currentStatus] < (STATUS_PRIORITY[previousStatus] || 0);
+
+    // Date devenue illisible sur un médicament en escalade : ses alertes doivent être résolues et lastStatus
+    // abaissé, pour qu'une date corrigée génère à nouveau une alerte
+    if (currentStatus === 'unknown' && existingTrack && previousStatus !== 'ok') {
+        const tracking = existingTrack;
+        tracking.lastStatus = 'ok';
+        tracking.lastCheckDate = today;
+        tracking.updatedAt = admin.firestore.Timestamp.now();
+        tracking.addStatusChange(today, currentStatus, source);
+        logger.info('Status unknown', { medicamentId: medicament.id, previousStatus });
+
+        return { currentStatus, tracking, alert: null, alertId: null, isNewAlert: false, isImproved: false, isUnknown: true };
+    }
+
+    // Statut inconnu, ou OK sans escalade en cours : rien à suivre
+    if (currentStatus === 'unknown' || (currentStatus === 'ok' && !isImproved)) {
+        return { currentStatus, tracking: null, alert: null, alertId: null, isNewAlert: false, isImproved: false };
+    }
+
+    // Vérifier si c'est un NOUVEAU changement de statut
+    const isNewAlert = STATUS_PRIORITY[currentStatus] > (STATUS_PRIORITY[previousStatus] || 0);
+
+    // Escalade déjà enregistrée aujourd'hui par la même source (réexécution après un crash)
+    const lastChange = existingTrack && existingTrack.statusHistory.length > 0 ? existingTrack.statusHistory[0] : null;
+    const alreadyAlertedToday = !isNewAlert && !!lastChange &&
+        existingTrack.lastCheckDate === today &&
+        lastChange.date === today &&
+        lastChange.status === currentStatus &&
+        (lastChange.source || 'scheduler') === source;
+
+    let alert = null;
+    if (isNewAlert || alreadyAlertedToday) {
+        alert = new MedicationAlert(
+            medicament.id,
+            medicament.ordonnanceId,
+            ordonnance.patientName,
+            medicament.name,
+            medicament.expirationDate,
+            currentStatus,
+            today,
+            thresholds,
+            getOrganizationId(ordonnance)
+        );
+
+        if (isNewAlert) {
+            logger.info('New alert', { medicamentId: medicament.id, previousStatus, currentStatus, source });
+        }
+    }
+
+    // Mettre à jour ou créer le tracking ; une amélioration abaisse lastStatus
+    // pour qu'une future ré-escalade génère à nouveau une alerte
+    const tracking = existingTrack || new MedicationTracking(medicament.id, currentStatus, today);
+    tracking.lastStatus = currentStatus;
+    tracking.lastCheckDate = today;
+    tracking.updatedAt = admin.firestore.Timestamp.now();
+
+    if (isNewAlert) {
+        tracking.addStatusChange(today, currentStatus, source);
+        tracking.lastNotificationSent = admin.firestore.Timestamp.now();
+    } else if (isImproved) {
+        tracking.addStatusChange(today, currentStatus, source);
+        logger.info('Status improved', { medicamentId: medicament.id, previousStatus, currentStatus, source });
+    }
+
+    return {
+        currentStatus,
+        tracking,
+        alert,
+        alertId: alert ? getAlertId(medicament.id, today, currentStatus) : null,
+        isNewAlert,
+        isImproved,
+        alreadyAlertedToday
+    };
+}
+
+// Id du document d'alerte pour un médicament, un jour et un niveau donnés
+function getAlertId(medicamentId, date, alertLevel) {
+    return `${medicamentId}_${date}_${alertLevel}`;
+}
+
+module.exports = { toDate, getMedicationStatus, evaluateMedicament, getAlertId, STATUS_PRIORITY };
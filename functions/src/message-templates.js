@@ -0,0 +1,184 @@
+// Textes des notifications push et SMS, par langue.
+// Les formes plurielles suivent les catégories CLDR d'Intl.PluralRules ('one', 'other'...) :
+// en français, 0 et 1 prennent le singulier.
+const CATALOGS = {
+    fr: {
+        title: 'Prescription Manager',
+        reminderTitle: 'Rappel - Prescription Manager',
+        levels: {
+            expired: { one: '{count} médicament expiré', other: '{count} médicaments expirés' },
+            critical: { one: '{count} médicament critique', other: '{count} médicaments critiques' },
+            warning: { one: '{count} médicament en alerte', other: '{count} médicaments en alerte' }
+        },
+        levelNames: { expired: 'expiré', critical: 'critique', warning: 'en alerte' },
+        item: '{medicament} - {patient} ({level})',
+        moreItems: { one: '+{count} autre', other: '+{count} autres' },
+        unknownPatient: 'Patient inconnu',
+        smsHeader: 'Prescription Manager - Alertes :',
+        smsReminderHeader: 'Prescription Manager - Rappel :',
+        smsFooter: 'Consultez l\'app pour plus de détails.',
+        escalationHeader: 'Prescription Manager - Escalade :',
+        escalationUnread: { one: 'alerte non lue depuis {count} h', other: 'alerte non lue depuis {count} h' },
+        escalationItem: '{medicament} ({level}, exp. {date})',
+        escalationFooter: 'Merci de vérifier l\'ordonnance dans l\'app.',
+        unknownDate: 'inconnue'
+    },
+    en: {
+        title: 'Prescription Manager',
+        reminderTitle: 'Reminder - Prescription Manager',
+        levels: {
+            expired: { one: '{count} expired medication', other: '{count} expired medications' },
+            critical: { one: '{count} critical medication', other: '{count} critical medications' },
+            warning: { one: '{count} medication nearing expiry', other: '{count} medications nearing expiry' }
+        },
+        levelNames: { expired: 'expired', critical: 'critical', warning: 'nearing expiry' },
+        item: '{medicament} - {patient} ({level})',
+        moreItems: { one: '+{count} more', other: '+{count} more' },
+        unknownPatient: 'Unknown patient',
+        smsHeader: 'Prescription Manager - Alerts:',
+        smsReminderHeader: 'Prescription Manager - Reminder:',
+        smsFooter: 'Open the app for details.',
+        escalationHeader: 'Prescription Manager - Escalation:',
+        escalationUnread: { one: 'alert unread for {count} hour', other: 'alert unread for {count} hours' },
+        escalationItem: '{medicament} ({level}, exp. {date})',
+        escalationFooter: 'Please check the prescription in the app.',
+        unknownDate: 'unknown'
+    }
+};
+
+const DEFAULT_LOCALE = 'fr';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Formats de message : compteurs par niveau, ou compteurs suivis des médicaments et patients
+const MESSAGE_FORMATS = ['summary', 'detailed'];
+
+// Niveaux du plus grave au moins grave, avec leur icône (push uniquement : les emojis sortent du GSM-7)
+const LEVEL_ORDER = ['expired', 'critical', 'warning'];
+const LEVEL_ICONS = { expired: '🚨', critical: '⚠️', warning: '🟡' };
+
+// Nombre de médicaments listés dans le format détaillé
+const DETAILED_PUSH_MAX_ITEMS = 5;
+const DETAILED_SMS_MAX_ITEMS = 3;
+
+// Alphabet GSM 03.38 : jeu de base, et extension comptant pour deux caractères
+const GSM7_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENDED = '^{}\\[~]|€\f';
+
+function resolveLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+function format(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+function plural(locale, forms, count, values = {}) {
+    const category = new Intl.PluralRules(locale).select(count);
+    return format(forms[category] || forms.other, { count, ...values });
+}
+
+// Lignes "N médicaments <niveau>" des niveaux présents dans le résumé
+function levelLines(summary, locale, withIcons) {
+    const catalog = CATALOGS[locale];
+    const counts = { expired: summary.newExpiredCount, critical: summary.newCriticalCount, warning: summary.newWarningCount };
+
+    return LEVEL_ORDER
+        .filter(level => counts[level] > 0)
+        .map(level => {
+            const text = plural(locale, catalog.levels[level], counts[level]);
+            return withIcons ? `${LEVEL_ICONS[level]} ${text}` : text;
+        });
+}
+
+// Lignes "médicament - patient (niveau)" du format détaillé, les plus graves d'abord
+function itemLines(summary, locale, maxItems) {
+    const catalog = CATALOGS[locale];
+    const alerts = [...summary.newAlerts].sort((a, b) => LEVEL_ORDER.indexOf(a.alertLevel) - LEVEL_ORDER.indexOf(b.alertLevel));
+
+    const lines = alerts.slice(0, maxItems).map(alert => format(catalog.item, {
+        medicament: alert.medicamentName,
+        patient: alert.patientName || catalog.unknownPatient,
+        level: catalog.levelNames[alert.alertLevel] || alert.alertLevel
+    }));
+    if (alerts.length > maxItems) {
+        lines.push(plural(locale, catalog.moreItems, alerts.length - maxItems));
+    }
+    return lines;
+}
+
+// Titre et corps de la notification push d'un résumé
+// options : { locale, messageFormat } (préférences de l'utilisateur)
+function renderPushMessage(summary, options = {}) {
+    const locale = resolveLocale(options.locale);
+    const catalog = CATALOGS[locale];
+    const lines = levelLines(summary, locale, true);
+
+    if (options.messageFormat === 'detailed') {
+        lines.push(...itemLines(summary, locale, DETAILED_PUSH_MAX_ITEMS).map(line => `• ${line}`));
+    }
+
+    return {
+        title: summary.type === 'reminder' ? catalog.reminderTitle : catalog.title,
+        body: lines.join('\n')
+    };
+}
+
+// SMS d'un résumé, en GSM-7 : le format résumé tient en un segment (160 caractères) ;
+// le format détaillé peut en prendre plusieurs (voir countSmsSegments)
+function renderSMSMessage(summary, options = {}) {
+    const locale = resolveLocale(options.locale);
+    const catalog = CATALOGS[locale];
+    const lines = [summary.type === 'reminder' ? catalog.smsReminderHeader : catalog.smsHeader, ...levelLines(summary, locale, false)];
+
+    if (options.messageFormat === 'detailed') {
+        lines.push(...itemLines(summary, locale, DETAILED_SMS_MAX_ITEMS));
+    }
+
+    lines.push(catalog.smsFooter);
+    return lines.join('\n');
+}
+
+// SMS d'escalade envoyé au superviseur ; sans nom de patient
+// expirationDate : date d'expiration au format YYYY-MM-DD, ou null
+function renderEscalationSMS(alert, unreadHours, expirationDate, options = {}) {
+    const locale = resolveLocale(options.locale);
+    const catalog = CATALOGS[locale];
+
+    return [
+        catalog.escalationHeader,
+        plural(locale, catalog.escalationUnread, unreadHours),
+        format(catalog.escalationItem, {
+            medicament: alert.medicamentName,
+            level: catalog.levelNames[alert.alertLevel] || alert.alertLevel,
+            date: expirationDate || catalog.unknownDate
+        }),
+        catalog.escalationFooter
+    ].join('\n');
+}
+
+// Encodage et nombre de segments d'un SMS : 160 caractères en GSM-7 (153 par segment au-delà),
+// 70 en UCS-2 dès qu'un caractère sort de l'alphabet GSM (67 par segment au-delà)
+function countSmsSegments(text) {
+    let gsmLength = 0;
+    let isGsm = true;
+
+    for (const char of text) {
+        if (GSM7_BASIC.includes(char)) {
+            gsmLength += 1;
+        } else if (GSM7_EXTENDED.includes(char)) {
+            gsmLength += 2;
+        } else {
+            isGsm = false;
+            break;
+        }
+    }
+
+    if (isGsm) {
+        return { encoding: 'GSM-7', length: gsmLength, segments: gsmLength <= 160 ? 1 : Math.ceil(gsmLength / 153) };
+    }
+
+    const length = text.length; // Unités UTF-16 : un emoji en compte deux
+    return { encoding: 'UCS-2', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+}
+
+module.exports = { DEFAULT_LOCALE, SUPPORTED_LOCALES, MESSAGE_FORMATS, resolveLocale, renderPushMessage, renderSMSMessage, renderEscalationSMS, countSmsSegments };
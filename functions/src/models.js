@@ -1,7 +1,9 @@
 const admin = require('firebase-admin');
+const { DEFAULT_ORGANIZATION_ID } = require('./organization-service');
+const { getCorrelationId } = require('./logger');
 
 class MedicationAlert {
-    constructor(medicamentId, ordonnanceId, patientName, medicamentName, expirationDate, alertLevel, alertDate) {
+    constructor(medicamentId, ordonnanceId, patientName, medicamentName, expirationDate, alertLevel, alertDate, thresholds = null, organizationId = DEFAULT_ORGANIZATION_ID) {
         this.medicamentId = medicamentId;
         this.ordonnanceId = ordonnanceId;
         this.patientName = patientName;
@@ -9,10 +11,28 @@ class MedicationAlert {
         this.expirationDate = expirationDate;
         this.alertLevel = alertLevel; // 'warning', 'critical', 'expired'
         this.alertDate = alertDate; // Format YYYY-MM-DD
+        // Seuils ayant déclenché l'alerte : { criticalDays, warningDays, source }
+        this.thresholds = thresholds ? {
+            criticalDays: thresholds.criticalDays,
+            warningDays: thresholds.warningDays,
+            source: thresholds.source // 'default', 'global', 'ordonnance', 'medicament'
+        } : null;
+        this.organizationId = organizationId; // Organisation de l'ordonnance
+        this.correlationId = getCorrelationId(); // Exécution (run, trigger) ayant levé l'alerte
         this.userStates = {}; // Sera rempli par utilisateur
+        this.status = 'active'; // 'active', 'resolved'
+        this.resolvedAt = null;
+        this.resolutionReason = null; // 'status_improved', 'status_unknown', 'medicament_deleted', 'ordonnance_deleted', 'action_taken'
+        this.acknowledgement = null; // Action menée : { action, note, acknowledgedBy, acknowledgedAt }
+        this.escalationSteps = []; // Étapes d'escalade déjà effectuées : { step, at, ... }
+        this.escalationLevel = null; // Dernière étape : 'reminder', 'supervisor'
         this.createdAt = admin.firestore.Timestamp.now();
     }
 
+    isActive() {
+        return this.status !== 'resolved';
+    }
+
     toFirestore() {
         return {
             medicamentId: this.medicamentId,
@@ -22,7 +42,16 @@ class MedicationAlert {
             expirationDate: this.expirationDate,
             alertLevel: this.alertLevel,
             alertDate: this.alertDate,
+            thresholds: this.thresholds,
+            organizationId: this.organizationId,
+            correlationId: this.correlationId,
             userStates: this.userStates,
+            status: this.status,
+            resolvedAt: this.resolvedAt,
+            resolutionReason: this.resolutionReason,
+            escalationSteps: this.escalationSteps,
+            escalationLevel: this.escalationLevel,
+            acknowledgement: this.acknowledgement,
             createdAt: this.createdAt
         };
     }
@@ -35,9 +64,18 @@ class MedicationAlert {
             data.medicamentName,
             data.expirationDate,
             data.alertLevel,
-            data.alertDate
+            data.alertDate,
+            data.thresholds || null,
+            data.organizationId || DEFAULT_ORGANIZATION_ID
         );
+        alert.correlationId = data.correlationId || null;
         alert.userStates = data.userStates || {};
+        alert.status = data.status || 'active';
+        alert.resolvedAt = data.resolvedAt || null;
+        alert.resolutionReason = data.resolutionReason || null;
+        alert.escalationSteps = data.escalationSteps || [];
+        alert.escalationLevel = data.escalationLevel || null;
+        alert.acknowledgement = data.acknowledgement || null;
         alert.createdAt = data.createdAt;
         return alert;
     }
@@ -53,8 +91,9 @@ class MedicationTracking {
         this.updatedAt = admin.firestore.Timestamp.now();
     }
 
-    addStatusChange(date, status) {
-        this.statusHistory.unshift({ date, status, timestamp: admin.firestore.Timestamp.now() });
+    addStatusChange(date, status, source = 'scheduler') {
+        // source : 'scheduler' (contrôle quotidien) ou 'trigger' (modification d'un médicament)
+        this.statusHistory.unshift({ date, status, source, timestamp: admin.firestore.Timestamp.now() });
         // Garder seulement les 30 derniers changements
         if (this.statusHistory.length > 30) {
             this.statusHistory = this.statusHistory.slice(0, 30);
@@ -86,8 +125,12 @@ class MedicationTracking {
 }
 
 class NotificationSummary {
-    constructor(date) {
+    constructor(date, type = 'daily', id = null, organizationId = DEFAULT_ORGANIZATION_ID) {
         this.date = date;
+        this.type = type; // 'daily' (contrôle quotidien), 'realtime' (trigger sur un médicament) ou 'reminder' (rappel d'escalade ou de fin de pause)
+        this.id = id || date; // Id du document dans notification_summaries
+        this.organizationId = organizationId; // Seuls les utilisateurs de cette organisation sont notifiés
+        this.userId = null; // Résumé propre à un utilisateur (quotidien fusionné avec ses alertes du digest, dans user_notification_summaries), sinon null
         this.newWarningCount = 0;
         this.newCriticalCount = 0;
         this.newExpiredCount = 0;
@@ -95,12 +138,15 @@ class NotificationSummary {
         this.createdAt = admin.firestore.Timestamp.now();
     }
 
-    addAlert(alert) {
+    // alertId : document medication_alerts de l'alerte (deep-link depuis la notification)
+    addAlert(alert, alertId = null) {
         this.newAlerts.push({
+            alertId: alertId || alert.alertId || null,
             medicamentId: alert.medicamentId,
             ordonnanceId: alert.ordonnanceId,
             patientName: alert.patientName,
             medicamentName: alert.medicamentName,
+            expirationDate: alert.expirationDate || null,
             alertLevel: alert.alertLevel
         });
 
@@ -124,6 +170,9 @@ class NotificationSummary {
     toFirestore() {
         return {
             date: this.date,
+            type: this.type,
+            organizationId: this.organizationId,
+            userId: this.userId,
             newWarningCount: this.newWarningCount,
             newCriticalCount: this.newCriticalCount,
             newExpiredCount: this.newExpiredCount,
@@ -131,6 +180,17 @@ class NotificationSummary {
             createdAt: this.createdAt
         };
     }
+
+    static fromFirestore(data, id = null) {
+        const summary = new NotificationSummary(data.date, data.type || 'daily', id, data.organizationId || DEFAULT_ORGANIZATION_ID);
+        summary.userId = data.userId || null;
+        summary.newWarningCount = data.newWarningCount || 0;
+        summary.newCriticalCount = data.newCriticalCount || 0;
+        summary.newExpiredCount = data.newExpiredCount || 0;
+        summary.newAlerts = data.newAlerts || [];
+        summary.createdAt = data.createdAt;
+        return summary;
+    }
 }
 
 module.exports = { MedicationAlert, MedicationTracking, NotificationSummary };
\ No newline at end of file
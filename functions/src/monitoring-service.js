@@ -1,68 +1,290 @@
+const functions = require('firebase-functions/v1');
 const admin = require('firebase-admin');
+const { getLocalDate, addDays, startOfLocalDay } = require('./facility-time');
+const { toDate } = require('./medication-status');
+const { DEFAULT_ORGANIZATION_ID } = require('./organization-service');
+const { logger, getCorrelationId, getFunctionName } = require('./logger');
+
+const DELIVERY_CHANNELS = ['push', 'sms', 'email'];
+const READ_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Seuil du taux d'échec déclenchant une alerte admin, et nombre minimal d'envois pour l'évaluer
+const DEFAULT_FAILURE_RATE_THRESHOLD = 0.2;
+const MIN_ATTEMPTS_FOR_FAILURE_RATE = 5;
+
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const index = Math.min(sortedValues.length - 1, Math.ceil(p * sortedValues.length) - 1);
+    return sortedValues[Math.max(index, 0)];
+}
+
+// Agréger les tentatives d'envoi d'une journée par canal : succès, échecs, délai depuis le début du contrôle
+// (uniquement pour les envois du résumé quotidien, les envois temps réel n'en dépendent pas)
+function computeChannelMetrics(logs, runStartedAtMs = null) {
+    const channels = {};
+    DELIVERY_CHANNELS.forEach(channel => {
+        channels[channel] = { success: 0, failed: 0, latencies: [] };
+    });
+
+    logs.forEach(log => {
+        const channel = channels[log.type];
+        if (!channel || !['success', 'failed'].includes(log.status)) return;
+
+        channel[log.status]++;
+
+        const details = log.details || {};
+        if (log.status === 'success' && runStartedAtMs && details.summaryType === 'daily' && log.timestamp) {
+            channel.latencies.push(log.timestamp.toMillis() - runStartedAtMs);
+        }
+    });
+
+    let success = 0;
+    let failed = 0;
+    Object.keys(channels).forEach(name => {
+        const channel = channels[name];
+        const latencies = channel.latencies.sort((a, b) => a - b);
+        const attempts = channel.success + channel.failed;
+
+        success += channel.success;
+        failed += channel.failed;
+        channels[name] = {
+            success: channel.success,
+            failed: channel.failed,
+            successRate: attempts > 0 ? channel.success / attempts : null,
+            latencyMs: latencies.length > 0 ? {
+                avg: Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+                p95: percentile(latencies, 0.95),
+                max: latencies[latencies.length - 1]
+            } : null
+        };
+    });
+
+    return {
+        channels,
+        success,
+        failed,
+        failureRate: success + failed > 0 ? failed / (success + failed) : null
+    };
+}
+
+// Alertes lues par au moins un utilisateur dans les 24h suivant leur création
+function computeReadMetrics(alerts) {
+    let readWithin24h = 0;
+    let reads = 0;
+
+    alerts.forEach(alert => {
+        const createdAt = alert.createdAt ? toDate(alert.createdAt) : null;
+        const readTimes = Object.values(alert.userStates || {})
+            .filter(state => state && state.isRead && state.readAt)
+            .map(state => toDate(state.readAt))
+            .filter(Boolean);
+
+        reads += readTimes.length;
+        if (createdAt && readTimes.some(readAt => readAt.getTime() - createdAt.getTime() <= READ_WINDOW_MS)) {
+            readWithin24h++;
+        }
+    });
+
+    return {
+        alerts: alerts.length,
+        readWithin24h,
+        readWithin24hRate: alerts.length > 0 ? readWithin24h / alerts.length : null,
+        reads
+    };
+}
+
+function groupByOrganization(items, getOrganization) {
+    const groups = new Map();
+    items.forEach(item => {
+        const organizationId = getOrganization(item) || DEFAULT_ORGANIZATION_ID;
+        if (!groups.has(organizationId)) {
+            groups.set(organizationId, []);
+        }
+        groups.get(organizationId).push(item);
+    });
+    return groups;
+}
 
 class MonitoringService {
     constructor() {
         this.db = admin.firestore();
+
+        try {
+            const monitoring = functions.config().monitoring || {};
+            const threshold = parseFloat(monitoring.failure_rate_threshold);
+            this.failureRateThreshold = threshold > 0 && threshold < 1 ? threshold : DEFAULT_FAILURE_RATE_THRESHOLD;
+        } catch (error) {
+            logger.error('Error reading monitoring config', { error });
+            this.failureRateThreshold = DEFAULT_FAILURE_RATE_THRESHOLD;
+        }
     }
 
     // Enregistrer une tentative de notification (simplifié)
     async logNotificationAttempt(type, status, details = {}) {
         try {
             const logEntry = {
-                type: type, // 'push', 'sms', 'system'
+                type: type, // 'push', 'sms', 'email', 'report', 'system'
                 status: status, // 'success', 'failed', 'pending'
                 timestamp: admin.firestore.Timestamp.now(),
-                date: new Date().toISOString().split('T')[0],
+                date: getLocalDate(),
+                functionName: getFunctionName(),
+                correlationId: getCorrelationId(), // Relie l'entrée aux logs structurés de l'exécution
                 details: details
             };
 
             await this.db.collection('notification_logs').add(logEntry);
-            console.log(`Logged ${type} notification attempt: ${status}`);
+            logger.debug('Notification attempt logged', { type, status });
         } catch (error) {
-            console.error('Error logging notification attempt:', error);
+            logger.error('Error logging notification attempt', { type, status, error });
         }
     }
 
-    // Enregistrer les statistiques quotidiennes (simplifié)
-    async logDailyStats(date, stats) {
+    // Enregistrer les statistiques quotidiennes, globales (exécution) ou d'une organisation
+    async logDailyStats(date, stats, organizationId = null) {
         try {
-            await this.db.collection('daily_stats').doc(date).set({
+            const docId = organizationId ? `${organizationId}_${date}` : date;
+            await this.db.collection('daily_stats').doc(docId).set({
                 ...stats,
+                ...(organizationId ? { organizationId: organizationId, date: date } : {}),
                 timestamp: admin.firestore.Timestamp.now()
             }, { merge: true });
-            console.log(`Daily stats logged for ${date}`);
+            logger.info('Daily stats logged', { date, organizationId });
+        } catch (error) {
+            logger.error('Error logging daily stats', { date, organizationId, error });
+        }
+    }
+
+    // Enregistrer une exécution de la rétention (toutes organisations) dans retention_runs/{date}
+    async logRetentionRun(date, result) {
+        try {
+            await this.db.collection('retention_runs').doc(date).set({
+                date: date,
+                recordsDeleted: result.deleted,
+                collections: result.collections,
+                failedCollections: result.collections.filter(collection => collection.error).length,
+                timestamp: admin.firestore.Timestamp.now()
+            });
+            logger.info('Retention run logged', { date, recordsDeleted: result.deleted });
+        } catch (error) {
+            logger.error('Error logging retention run', { date, error });
+        }
+    }
+
+    // Exécutions récentes de la rétention, de la plus récente à la plus ancienne
+    async getRecentRetentionRuns(days = 30) {
+        try {
+            const snapshot = await this.db.collection('retention_runs')
+                .where('date', '>=', addDays(getLocalDate(), -days))
+                .get();
+
+            return snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => b.date.localeCompare(a.date));
         } catch (error) {
-            console.error('Error logging daily stats:', error);
+            logger.error('Error getting retention runs', { error });
+            return [];
         }
     }
 
-    // Obtenir les statistiques récentes
-    async getRecentStats(days = 30) {
+    // Obtenir les statistiques récentes d'une organisation
+    async getRecentStats(days = 30, organizationId) {
         try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
-            const cutoffDateStr = cutoffDate.toISOString().split('T')[0];
+            const cutoffDate = addDays(getLocalDate(), -days);
 
+            // Filtre d'égalité seul (pas d'index composite) ; au plus une entrée par jour et par organisation
             const snapshot = await this.db.collection('daily_stats')
-                .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(cutoffDate))
-                .orderBy('timestamp', 'desc')
+                .where('organizationId', '==', organizationId)
                 .get();
 
-            return snapshot.docs.map(doc => ({
-                date: doc.id,
-                ...doc.data()
-            }));
+            return snapshot.docs
+                .map(doc => doc.data())
+                .filter(stats => stats.date >= cutoffDate)
+                .sort((a, b) => b.date.localeCompare(a.date));
         } catch (error) {
-            console.error('Error getting recent stats:', error);
+            logger.error('Error getting recent stats', { organizationId, error });
             return [];
         }
     }
 
+    // Agréger les envois d'une journée par organisation et par canal dans delivery_metrics/{org}_{date}
+    async aggregateDeliveryMetrics(date, runStartedAt = null) {
+        const snapshot = await this.db.collection('notification_logs')
+            .where('date', '==', date)
+            .get();
+
+        const logs = snapshot.docs
+            .map(doc => doc.data())
+            .filter(log => DELIVERY_CHANNELS.includes(log.type));
+        const byOrganization = groupByOrganization(logs, log => log.details && log.details.organizationId);
+        const results = new Map();
+
+        for (const [organizationId, organizationLogs] of byOrganization) {
+            const metrics = computeChannelMetrics(organizationLogs, runStartedAt ? runStartedAt.toMillis() : null);
+            await this.db.collection('delivery_metrics').doc(`${organizationId}_${date}`).set({
+                organizationId,
+                date,
+                delivery: metrics,
+                updatedAt: admin.firestore.Timestamp.now()
+            }, { merge: true });
+            results.set(organizationId, metrics);
+        }
+
+        logger.info('Delivery metrics aggregated', { date, organizationCount: results.size });
+        return results;
+    }
+
+    // Agréger la lecture des alertes levées un jour donné (à lancer au moins 24h plus tard)
+    async aggregateReadMetrics(date) {
+        const snapshot = await this.db.collection('medication_alerts')
+            .where('alertDate', '==', date)
+            .get();
+
+        const byOrganization = groupByOrganization(snapshot.docs.map(doc => doc.data()), alert => alert.organizationId);
+        const results = new Map();
+
+        for (const [organizationId, alerts] of byOrganization) {
+            const metrics = computeReadMetrics(alerts);
+            await this.db.collection('delivery_metrics').doc(`${organizationId}_${date}`).set({
+                organizationId,
+                date,
+                reads: metrics,
+                updatedAt: admin.firestore.Timestamp.now()
+            }, { merge: true });
+            results.set(organizationId, metrics);
+        }
+
+        return results;
+    }
+
+    // Métriques d'envoi récentes d'une organisation
+    async getDeliveryMetrics(days = 30, organizationId) {
+        try {
+            const cutoffDate = addDays(getLocalDate(), -days);
+
+            const snapshot = await this.db.collection('delivery_metrics')
+                .where('organizationId', '==', organizationId)
+                .get();
+
+            return snapshot.docs
+                .map(doc => doc.data())
+                .filter(metrics => metrics.date >= cutoffDate)
+                .sort((a, b) => b.date.localeCompare(a.date));
+        } catch (error) {
+            logger.error('Error getting delivery metrics', { organizationId, error });
+            return [];
+        }
+    }
+
+    // Indique si le taux d'échec d'une journée justifie une alerte admin
+    isFailureRateAnomalous(metrics) {
+        const attempts = metrics.success + metrics.failed;
+        return attempts >= MIN_ATTEMPTS_FOR_FAILURE_RATE && metrics.failureRate > this.failureRateThreshold;
+    }
+
     // Obtenir les logs d'erreur récents
     async getRecentErrorLogs(days = 7) {
         try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
+            const cutoffDate = startOfLocalDay(addDays(getLocalDate(), -days));
 
             const snapshot = await this.db.collection('notification_logs')
                 .where('status', '==', 'failed')
@@ -76,32 +298,44 @@ class MonitoringService {
                 ...doc.data()
             }));
         } catch (error) {
-            console.error('Error getting recent error logs:', error);
+            logger.error('Error getting recent error logs', { error });
             return [];
         }
     }
 
-    // Nettoyer les anciens logs (plus de 3 mois)
-    async cleanupOldLogs() {
+    // Obtenir les tentatives push/SMS/email échouées qui n'ont pas encore été clôturées
+    async getRetryableFailures(days = 2) {
         try {
-            const threeMonthsAgo = new Date();
-            threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
+            const cutoffDate = startOfLocalDay(addDays(getLocalDate(), -days));
 
-            const oldLogsQuery = await this.db.collection('notification_logs')
-                .where('timestamp', '<', admin.firestore.Timestamp.fromDate(threeMonthsAgo))
+            const snapshot = await this.db.collection('notification_logs')
+                .where('status', '==', 'failed')
+                .where('timestamp', '>=', admin.firestore.Timestamp.fromDate(cutoffDate))
+                .orderBy('timestamp', 'desc')
                 .get();
 
-            const batch = this.db.batch();
-            oldLogsQuery.docs.forEach(doc => {
-                batch.delete(doc.ref);
-            });
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(log => ['push', 'sms', 'email'].includes(log.type))
+                .filter(log => !['succeeded', 'abandoned', 'deferred'].includes(log.retryStatus));
+        } catch (error) {
+            logger.error('Error getting retryable failures', { error });
+            return [];
+        }
+    }
 
-            await batch.commit();
-            console.log(`Cleaned up ${oldLogsQuery.size} old notification logs`);
+    // Mettre à jour le statut de retry d'une tentative échouée
+    async updateRetryStatus(logId, retryStatus, fields = {}) {
+        try {
+            await this.db.collection('notification_logs').doc(logId).update({
+                ...fields,
+                retryStatus: retryStatus, // 'retried', 'succeeded', 'deferred' (rejoint le digest), 'abandoned'
+                lastRetryAt: admin.firestore.Timestamp.now()
+            });
         } catch (error) {
-            console.error('Error cleaning up old logs:', error);
+            logger.error('Error updating retry status', { logId, error });
         }
     }
 }
 
-module.exports = { MonitoringService };
\ No newline at end of file
+module.exports = { MonitoringService, computeChannelMetrics, computeReadMetrics };
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { renderPushMessage } = require('./message-templates');
+
+// Titre et corps de la notification groupée, dans la langue et le format de l'utilisateur
+// options : { locale, messageFormat } (voir message-templates)
+function createNotificationMessage(summary, options = {}) {
+    return renderPushMessage(summary, options);
+}
+
+// Données de navigation : une seule alerte ouvre directement le médicament concerné,
+// plusieurs alertes ouvrent la liste du résumé (résolue par le callable getNotificationSummary)
+function buildDeepLinkData(summary) {
+    const alerts = summary.newAlerts;
+    if (alerts.length !== 1 || !alerts[0].medicamentId || !alerts[0].ordonnanceId) {
+        return { screen: 'notifications' };
+    }
+
+    return {
+        screen: 'medicament',
+        alertId: alerts[0].alertId || '',
+        medicamentId: alerts[0].medicamentId,
+        ordonnanceId: alerts[0].ordonnanceId
+    };
+}
+
+// Construire le message FCM de la notification groupée
+function buildGroupedMessage(summary, notificationContent) {
+    return {
+        notification: {
+            title: notificationContent.title,
+            body: notificationContent.body
+        },
+        data: {
+            click_action: 'FLUTTER_NOTIFICATION_CLICK',
+            ...buildDeepLinkData(summary),
+            type: 'daily_medication_alert',
+            date: summary.date,
+            summaryId: summary.id,
+            alertCount: summary.newAlerts.length.toString(),
+            newCritical: summary.newCriticalCount.toString(),
+            newWarning: summary.newWarningCount.toString(),
+            newExpired: summary.newExpiredCount.toString()
+        },
+        // Configuration Android spécifique pour les heads-up notifications
+        android: {
+            notification: {
+                channelId: 'medication_alerts',
+                priority: 'high',
+                defaultSound: true,
+                defaultVibrateTimings: true,
+                defaultLightSettings: true,
+                notificationPriority: 'PRIORITY_HIGH',
+                visibility: 'PUBLIC'
+            }
+        },
+        // Configuration iOS spécifique
+        apns: {
+            payload: {
+                aps: {
+                    sound: 'default',
+                    badge: 1,
+                    alert: {
+                        title: notificationContent.title,
+                        body: notificationContent.body
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createNotificationMessage, buildGroupedMessage, buildDeepLinkData };
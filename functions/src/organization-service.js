@@ -0,0 +1,97 @@
+const admin = require('firebase-admin');
+
+// Organisation des ordonnances et utilisateurs créés avant l'introduction des organisations
+const DEFAULT_ORGANIZATION_ID = 'default';
+
+// Taille de page de listUsers et de lot de getAll
+const LIST_USERS_PAGE_SIZE = 1000;
+const GET_ALL_CHUNK_SIZE = 100;
+
+// Organisation d'un document (ordonnance, utilisateur, alerte...)
+function getOrganizationId(data) {
+    return (data && data.organizationId) || DEFAULT_ORGANIZATION_ID;
+}
+
+class OrganizationService {
+    constructor() {
+        this.db = admin.firestore();
+        this.auth = admin.auth();
+    }
+
+    // Organisation de l'utilisateur appelant, d'après le seul claim organizationId (posé par setRole ou l'Admin SDK) :
+    // le profil users/{uid} est modifiable par l'utilisateur. Sans claim, organisation par défaut
+    async getCallerOrganizationId(auth) {
+        return (auth.token && auth.token.organizationId) || DEFAULT_ORGANIZATION_ID;
+    }
+
+    // Documents d'une collection appartenant à une organisation
+    // (ceux sans organisation appartiennent à l'organisation par défaut)
+    async getDocuments(collection, organizationId) {
+        let query = this.db.collection(collection);
+        if (organizationId !== DEFAULT_ORGANIZATION_ID) {
+            query = query.where('organizationId', '==', organizationId);
+        }
+
+        const snapshot = await query.get();
+        return snapshot.docs.filter(doc => getOrganizationId(doc.data()) === organizationId);
+    }
+
+    // Comptes Firebase Auth d'une organisation d'après le claim organizationId (sans claim : organisation par défaut ;
+    // organizationId null : toutes les organisations). Le champ organizationId du profil users/{uid},
+    // modifiable par l'utilisateur, n'est pas pris en compte
+    async getMemberRecords(organizationId) {
+        const records = [];
+        let pageToken;
+
+        do {
+            const page = await this.auth.listUsers(LIST_USERS_PAGE_SIZE, pageToken);
+            records.push(...page.users.filter(record => organizationId === null || getOrganizationId(record.customClaims) === organizationId));
+            pageToken = page.pageToken;
+        } while (pageToken);
+
+        return records;
+    }
+
+    // Organisation d'un utilisateur d'après son claim, ou null si le compte n'existe pas
+    async getMemberOrganizationId(uid) {
+        try {
+            const record = await this.auth.getUser(uid);
+            return getOrganizationId(record.customClaims);
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') return null;
+            throw error;
+        }
+    }
+
+    // Profils users/{uid} des membres d'une organisation (les comptes sans profil sont ignorés)
+    async getUsers(organizationId) {
+        const records = await this.getMemberRecords(organizationId);
+        return await this.getProfiles(records.map(record => record.uid));
+    }
+
+    // Profils des membres dont le claim role figure parmi roles, comme pour authorize
+    // (le champ role du profil n'est qu'une copie d'affichage)
+    async getUsersWithRole(organizationId, roles) {
+        const records = await this.getMemberRecords(organizationId);
+        return await this.getProfiles(records
+            .filter(record => roles.includes((record.customClaims || {}).role))
+            .map(record => record.uid));
+    }
+
+    async getProfiles(uids) {
+        const docs = [];
+        for (let i = 0; i < uids.length; i += GET_ALL_CHUNK_SIZE) {
+            const refs = uids.slice(i, i + GET_ALL_CHUNK_SIZE).map(uid => this.db.collection('users').doc(uid));
+            docs.push(...(await this.db.getAll(...refs)).filter(doc => doc.exists));
+        }
+        return docs;
+    }
+
+    // Organisations ayant au moins une ordonnance
+    async getOrganizationIds() {
+        const snapshot = await this.db.collection('ordonnances').select('organizationId').get();
+        return [...new Set(snapshot.docs.map(doc => getOrganizationId(doc.data())))];
+    }
+}
+
+module.exports = { OrganizationService, DEFAULT_ORGANIZATION_ID, getOrganizationId };
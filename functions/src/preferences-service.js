@@ -0,0 +1,219 @@
+const admin = require('firebase-admin');
+const { NotificationSummary } = require('./models');
+const { getLocalDate, addDays, localTimeToDate, getLocalMinutes } = require('./facility-time');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, MESSAGE_FORMATS } = require('./message-templates');
+const { logger } = require('./logger');
+
+const ALERT_LEVELS = ['warning', 'critical', 'expired'];
+const CHANNELS = ['push', 'sms', 'email'];
+const DELIVERY_MODES = ['immediate', 'digest'];
+
+// Préférences par défaut : comportement historique (toutes les alertes, push immédiat, résumé en français)
+const DEFAULT_PREFERENCES = {
+    alertLevels: ALERT_LEVELS,
+    channels: { push: true, sms: false, email: false },
+    quietHours: null,
+    deliveryMode: 'immediate',
+    locale: DEFAULT_LOCALE,
+    messageFormat: 'summary'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Format international attendu par SMSService (+33123456789)
+const PHONE_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+class PreferencesService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Préférences d'un utilisateur (document notification_preferences/{uid} + profil users/{uid})
+    async getPreferences(userId) {
+        const [prefsDoc, userDoc] = await this.db.getAll(
+            this.db.collection('notification_preferences').doc(userId),
+            this.db.collection('users').doc(userId)
+        );
+
+        return this.resolve(prefsDoc.exists ? prefsDoc.data() : null, userDoc.exists ? userDoc.data() : {});
+    }
+
+    // Préférences stockées de tous les utilisateurs, indexées par uid
+    async getAllStoredPreferences() {
+        const snapshot = await this.db.collection('notification_preferences').get();
+        return new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    }
+
+    // Appliquer les valeurs par défaut ; SMS et email restent pilotés par les indicateurs du profil
+    // (smsNotificationsEnabled, emailNotificationsEnabled) déjà modifiables depuis l'application
+    resolve(stored, user = {}) {
+        const prefs = stored || {};
+
+        return {
+            alertLevels: Array.isArray(prefs.alertLevels) ? prefs.alertLevels.filter(level => ALERT_LEVELS.includes(level)) : [...DEFAULT_PREFERENCES.alertLevels],
+            channels: {
+                push: prefs.channels && typeof prefs.channels.push === 'boolean' ? prefs.channels.push : DEFAULT_PREFERENCES.channels.push,
+                sms: user.smsNotificationsEnabled === true,
+                email: user.emailNotificationsEnabled === true
+            },
+            quietHours: prefs.quietHours && prefs.quietHours.start && prefs.quietHours.end
+                ? { start: prefs.quietHours.start, end: prefs.quietHours.end }
+                : null,
+            deliveryMode: DELIVERY_MODES.includes(prefs.deliveryMode) ? prefs.deliveryMode : DEFAULT_PREFERENCES.deliveryMode,
+            locale: SUPPORTED_LOCALES.includes(prefs.locale) ? prefs.locale : DEFAULT_PREFERENCES.locale,
+            messageFormat: MESSAGE_FORMATS.includes(prefs.messageFormat) ? prefs.messageFormat : DEFAULT_PREFERENCES.messageFormat
+        };
+    }
+
+    // Valider une mise à jour (partielle) des préférences ; retourne la liste des erreurs
+    validate(update, user = {}) {
+        const errors = [];
+
+        if (!update || typeof update !== 'object' || Array.isArray(update)) {
+            return ['Preferences must be an object'];
+        }
+
+        Object.keys(update).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_PREFERENCES, key)) {
+                errors.push(`Unknown preference: ${key}`);
+            }
+        });
+
+        if (update.alertLevels !== undefined) {
+            if (!Array.isArray(update.alertLevels) || update.alertLevels.length === 0) {
+                errors.push('alertLevels must be a non-empty array');
+            } else {
+                update.alertLevels
+                    .filter(level => !ALERT_LEVELS.includes(level))
+                    .forEach(level => errors.push(`Unknown alert level: ${level}`));
+            }
+        }
+
+        if (update.channels !== undefined) {
+            if (!update.channels || typeof update.channels !== 'object' || Array.isArray(update.channels)) {
+                errors.push('channels must be an object');
+            } else {
+                Object.entries(update.channels).forEach(([channel, enabled]) => {
+                    if (!CHANNELS.includes(channel)) {
+                        errors.push(`Unknown channel: ${channel}`);
+                    } else if (typeof enabled !== 'boolean') {
+                        errors.push(`channels.${channel} must be a boolean`);
+                    }
+                });
+
+                if (update.channels.sms === true && !PHONE_PATTERN.test(user.phoneNumber || '')) {
+                    errors.push('SMS channel requires a valid phone number on the profile');
+                }
+                if (update.channels.email === true && !user.email) {
+                    errors.push('Email channel requires an email address on the profile');
+                }
+            }
+        }
+
+        if (update.quietHours !== undefined && update.quietHours !== null) {
+            const { start, end } = update.quietHours;
+            if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+                errors.push('quietHours.start and quietHours.end must use the HH:MM format');
+            } else if (start === end) {
+                errors.push('quietHours.start and quietHours.end must differ');
+            }
+        }
+
+        if (update.deliveryMode !== undefined && !DELIVERY_MODES.includes(update.deliveryMode)) {
+            errors.push(`deliveryMode must be one of: ${DELIVERY_MODES.join(', ')}`);
+        }
+
+        if (update.locale !== undefined && !SUPPORTED_LOCALES.includes(update.locale)) {
+            errors.push(`locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+        }
+
+        if (update.messageFormat !== undefined && !MESSAGE_FORMATS.includes(update.messageFormat)) {
+            errors.push(`messageFormat must be one of: ${MESSAGE_FORMATS.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    // Mettre à jour les préférences d'un utilisateur après validation ; retourne les préférences résolues
+    async updatePreferences(userId, update) {
+        const prefsRef = this.db.collection('notification_preferences').doc(userId);
+        const userRef = this.db.collection('users').doc(userId);
+
+        const userDoc = await userRef.get();
+        const user = userDoc.exists ? userDoc.data() : {};
+
+        const errors = this.validate(update, user);
+        if (errors.length > 0) {
+            const error = new Error(errors.join('; '));
+            error.code = 'INVALID_PREFERENCES';
+            error.details = errors;
+            throw error;
+        }
+
+        const now = admin.firestore.Timestamp.now();
+        const prefsUpdate = { updatedAt: now };
+        const userUpdate = {};
+
+        if (update.alertLevels !== undefined) prefsUpdate.alertLevels = [...new Set(update.alertLevels)];
+        if (update.quietHours !== undefined) prefsUpdate.quietHours = update.quietHours ? { start: update.quietHours.start, end: update.quietHours.end } : null;
+        if (update.deliveryMode !== undefined) prefsUpdate.deliveryMode = update.deliveryMode;
+        if (update.locale !== undefined) prefsUpdate.locale = update.locale;
+        if (update.messageFormat !== undefined) prefsUpdate.messageFormat = update.messageFormat;
+
+        if (update.channels) {
+            if (update.channels.push !== undefined) prefsUpdate.channels = { push: update.channels.push };
+            if (update.channels.sms !== undefined) userUpdate.smsNotificationsEnabled = update.channels.sms;
+            if (update.channels.email !== undefined) userUpdate.emailNotificationsEnabled = update.channels.email;
+        }
+
+        const batch = this.db.batch();
+        batch.set(prefsRef, prefsUpdate, { merge: true });
+        if (Object.keys(userUpdate).length > 0) {
+            batch.set(userRef, userUpdate, { merge: true });
+        }
+        await batch.commit();
+
+        logger.info('Notification preferences updated', { userId });
+        return await this.getPreferences(userId);
+    }
+
+    // Indique si l'instant donné tombe dans les heures calmes de l'utilisateur (fuseau de l'établissement)
+    isInQuietHours(preferences, now = new Date()) {
+        if (!preferences.quietHours) return false;
+
+        const start = parseTime(preferences.quietHours.start);
+        const end = parseTime(preferences.quietHours.end);
+        const current = getLocalMinutes(now);
+
+        // Plage sur la nuit (ex. 22:00-07:00) lorsque la fin précède le début
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    // Instant de fin des heures calmes en cours
+    getQuietHoursEnd(preferences, now = new Date()) {
+        const end = parseTime(preferences.quietHours.end);
+        const today = getLocalDate(now);
+        const endDate = getLocalMinutes(now) < end ? today : addDays(today, 1);
+        return localTimeToDate(endDate, end);
+    }
+
+    // Résumé restreint aux niveaux d'alerte choisis par l'utilisateur (même id, date, type et organisation)
+    filterSummary(summary, preferences) {
+        const filtered = new NotificationSummary(summary.date, summary.type, summary.id, summary.organizationId);
+        filtered.userId = summary.userId;
+        summary.newAlerts
+            .filter(alert => preferences.alertLevels.includes(alert.alertLevel))
+            .forEach(alert => filtered.addAlert(alert));
+        filtered.createdAt = summary.createdAt;
+        return filtered;
+    }
+}
+
+module.exports = { PreferencesService, DEFAULT_PREFERENCES, ALERT_LEVELS, CHANNELS, DELIVERY_MODES };
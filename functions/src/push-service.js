@@ -0,0 +1,85 @@
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+// Codes d'erreur FCM indiquant un token définitivement inutilisable
+// ('messaging/invalid-argument' peut aussi venir d'un message mal formé : le token n'est pas en cause)
+const INVALID_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+// Limite de tokens par appel sendEachForMulticast
+const MULTICAST_LIMIT = 500;
+
+class PushService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Enregistrer un token d'appareil pour un utilisateur
+    async registerToken(userId, token) {
+        await this.db.collection('users').doc(userId).set({
+            fcmTokens: admin.firestore.FieldValue.arrayUnion(token),
+            fcmTokensUpdatedAt: admin.firestore.Timestamp.now()
+        }, { merge: true });
+        logger.info('Device token registered', { userId });
+    }
+
+    // Supprimer un token d'appareil d'un utilisateur
+    async unregisterToken(userId, token) {
+        await this.db.collection('users').doc(userId).set({
+            fcmTokens: admin.firestore.FieldValue.arrayRemove(token),
+            fcmTokensUpdatedAt: admin.firestore.Timestamp.now()
+        }, { merge: true });
+        logger.info('Device token unregistered', { userId });
+    }
+
+    // Récupérer les tokens enregistrés d'un utilisateur
+    getUserTokens(user) {
+        return Array.isArray(user.fcmTokens) ? user.fcmTokens.filter(token => typeof token === 'string' && token) : [];
+    }
+
+    // Envoyer un message à tous les appareils d'un utilisateur
+    async sendToUser(userId, tokens, message) {
+        const result = { userId, successCount: 0, failureCount: 0, invalidTokens: [], errors: [] };
+
+        for (let i = 0; i < tokens.length; i += MULTICAST_LIMIT) {
+            const chunk = tokens.slice(i, i + MULTICAST_LIMIT);
+            const response = await admin.messaging().sendEachForMulticast({ ...message, tokens: chunk });
+
+            result.successCount += response.successCount;
+            result.failureCount += response.failureCount;
+
+            response.responses.forEach((sendResponse, index) => {
+                if (sendResponse.success) return;
+
+                const code = sendResponse.error && sendResponse.error.code;
+                if (INVALID_TOKEN_ERRORS.includes(code)) {
+                    result.invalidTokens.push(chunk[index]);
+                }
+                result.errors.push(code || 'unknown');
+            });
+        }
+
+        if (result.invalidTokens.length > 0) {
+            await this.pruneTokens(userId, result.invalidTokens);
+        }
+
+        return result;
+    }
+
+    // Retirer les tokens signalés invalides par FCM
+    async pruneTokens(userId, tokens) {
+        try {
+            await this.db.collection('users').doc(userId).update({
+                fcmTokens: admin.firestore.FieldValue.arrayRemove(...tokens),
+                fcmTokensUpdatedAt: admin.firestore.Timestamp.now()
+            });
+            logger.info('Invalid device tokens pruned', { userId, pruned: tokens.length });
+        } catch (error) {
+            logger.error('Error pruning device tokens', { userId, error });
+        }
+    }
+}
+
+module.exports = { PushService };
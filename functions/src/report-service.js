@@ -0,0 +1,288 @@
+const admin = require('firebase-admin');
+const PDFDocument = require('pdfkit');
+const { OrganizationService, getOrganizationId } = require('./organization-service');
+const { ThresholdService } = require('./threshold-service');
+const { toDate, getMedicationStatus } = require('./medication-status');
+const { getLocalDate, addDays, addMonths, daysBetween } = require('./facility-time');
+const { logger } = require('./logger');
+
+// Horizon par défaut (jours) des médicaments listés et durée de la période des alertes
+const REPORT_PERIODS = {
+    weekly: { horizonDays: 30, periodStart: today => addDays(today, -7) },
+    monthly: { horizonDays: 90, periodStart: today => addMonths(today, -1) }
+};
+
+// Validité des liens de téléchargement signés (7 jours : maximum des URL signées v4)
+const SIGNED_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Limite de l'opérateur "in" de Firestore
+const IN_QUERY_LIMIT = 30;
+
+// Actions enregistrées par acknowledgeAlert
+const ACTION_LABELS = {
+    disposed: 'Détruit',
+    reordered: 'Recommandé',
+    replaced: 'Remplacé'
+};
+
+const STATUS_LABELS = {
+    expired: 'Expiré',
+    critical: 'Critique',
+    warning: 'En alerte',
+    ok: 'OK'
+};
+
+function escapeCsv(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(escapeCsv).join(',');
+}
+
+class ReportService {
+    // bucket : bucket Cloud Storage à utiliser (par défaut, le bucket du projet)
+    constructor(bucket = null) {
+        this.db = admin.firestore();
+        this.bucket = bucket;
+        this.organizationService = new OrganizationService();
+        this.thresholdService = new ThresholdService();
+    }
+
+    getBucket() {
+        if (!this.bucket) {
+            this.bucket = admin.storage().bucket();
+        }
+        return this.bucket;
+    }
+
+    // Rassembler les données du rapport d'une organisation
+    async collect(organizationId, { period = 'weekly', horizonDays = null, today = getLocalDate() } = {}) {
+        const settings = REPORT_PERIODS[period];
+        const horizon = horizonDays || settings.horizonDays;
+        const periodStart = settings.periodStart(today);
+
+        const ordonnanceDocs = await this.organizationService.getDocuments('ordonnances', organizationId);
+        const ordonnances = new Map(ordonnanceDocs.map(doc => [doc.id, { id: doc.id, ...doc.data() }]));
+        const globalThresholds = await this.thresholdService.getGlobalThresholds();
+
+        // 1. Médicaments expirant dans l'horizon (ou déjà expirés), par patient puis par ordonnance
+        const patients = new Map();
+        const totals = { medicaments: 0, expired: 0, critical: 0, warning: 0, ok: 0 };
+        const ordonnanceIds = [...ordonnances.keys()];
+
+        for (let i = 0; i < ordonnanceIds.length; i += IN_QUERY_LIMIT) {
+            const snapshot = await this.db.collection('medicaments')
+                .where('ordonnanceId', 'in', ordonnanceIds.slice(i, i + IN_QUERY_LIMIT))
+                .get();
+
+            snapshot.docs.forEach(doc => {
+                const medicament = { id: doc.id, ...doc.data() };
+                const expiration = toDate(medicament.expirationDate);
+                if (!expiration) return;
+
+                const expirationDate = getLocalDate(expiration);
+                const daysLeft = daysBetween(today, expirationDate);
+                if (daysLeft > horizon) return;
+
+                const ordonnance = ordonnances.get(medicament.ordonnanceId);
+                const thresholds = this.thresholdService.resolve(globalThresholds, ordonnance, medicament);
+                const status = getMedicationStatus(medicament.expirationDate, thresholds);
+
+                const patientName = ordonnance.patientName || 'Patient inconnu';
+                if (!patients.has(patientName)) {
+                    patients.set(patientName, new Map());
+                }
+                const byOrdonnance = patients.get(patientName);
+                if (!byOrdonnance.has(ordonnance.id)) {
+                    byOrdonnance.set(ordonnance.id, []);
+                }
+
+                byOrdonnance.get(ordonnance.id).push({ medicamentId: medicament.id, name: medicament.name, expirationDate, daysLeft, status });
+                totals.medicaments++;
+                if (totals[status] !== undefined) totals[status]++;
+            });
+        }
+
+        // 2. Alertes levées sur la période et alertes lues par au moins un utilisateur
+        const alertsSnapshot = await this.db.collection('medication_alerts')
+            .where('alertDate', '>=', periodStart)
+            .get();
+
+        const alertItems = alertsSnapshot.docs
+            .map(doc => doc.data())
+            .filter(alert => alert.alertDate <= today && getOrganizationId(alert) === organizationId)
+            .map(alert => ({
+                alertDate: alert.alertDate,
+                patientName: alert.patientName,
+                medicamentName: alert.medicamentName,
+                alertLevel: alert.alertLevel,
+                readCount: Object.values(alert.userStates || {}).filter(state => state && state.isRead).length,
+                action: alert.acknowledgement ? alert.acknowledgement.action : null
+            }))
+            .sort((a, b) => a.alertDate.localeCompare(b.alertDate));
+
+        const byLevel = { warning: 0, critical: 0, expired: 0 };
+        const byAction = { disposed: 0, reordered: 0, replaced: 0 };
+        alertItems.forEach(alert => {
+            if (byLevel[alert.alertLevel] !== undefined) byLevel[alert.alertLevel]++;
+            if (byAction[alert.action] !== undefined) byAction[alert.action]++;
+        });
+
+        return {
+            organizationId,
+            period,
+            today,
+            horizonDays: horizon,
+            periodStart,
+            periodEnd: today,
+            totals,
+            patients: [...patients.entries()]
+                .sort(([a], [b]) => a.localeCompare(b, 'fr'))
+                .map(([patientName, byOrdonnance]) => ({
+                    patientName,
+                    ordonnances: [...byOrdonnance.entries()].map(([ordonnanceId, medicaments]) => ({
+                        ordonnanceId,
+                        medicaments: medicaments.sort((a, b) => a.daysLeft - b.daysLeft)
+                    }))
+                })),
+            alerts: {
+                raised: alertItems.length,
+                read: alertItems.filter(alert => alert.readCount > 0).length,
+                byLevel,
+                byAction,
+                items: alertItems
+            }
+        };
+    }
+
+    // Export CSV : médicaments à expiration, puis alertes de la période
+    toCSV(report) {
+        const lines = [
+            `Médicaments expirant dans les ${report.horizonDays} jours (au ${report.today})`,
+            csvLine(['Patient', 'Ordonnance', 'Médicament', 'Expiration', 'Jours restants', 'Statut'])
+        ];
+
+        report.patients.forEach(patient => {
+            patient.ordonnances.forEach(ordonnance => {
+                ordonnance.medicaments.forEach(medicament => {
+                    lines.push(csvLine([
+                        patient.patientName,
+                        ordonnance.ordonnanceId,
+                        medicament.name,
+                        medicament.expirationDate,
+                        medicament.daysLeft,
+                        STATUS_LABELS[medicament.status] || medicament.status
+                    ]));
+                });
+            });
+        });
+
+        lines.push('');
+        lines.push(`Alertes du ${report.periodStart} au ${report.periodEnd} : ${report.alerts.raised} levée(s), ${report.alerts.read} lue(s)`);
+        lines.push(csvLine(['Date', 'Patient', 'Médicament', 'Niveau', 'Lue par', 'Action']));
+        report.alerts.items.forEach(alert => {
+            lines.push(csvLine([
+                alert.alertDate,
+                alert.patientName,
+                alert.medicamentName,
+                STATUS_LABELS[alert.alertLevel] || alert.alertLevel,
+                alert.readCount,
+                alert.action ? ACTION_LABELS[alert.action] || alert.action : ''
+            ]));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Export PDF (même contenu que le CSV)
+    toPDF(report) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 40 });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.fontSize(16).text(`Rapport d'expiration des médicaments - ${report.today}`);
+            doc.moveDown(0.5).fontSize(10).text(
+                `${report.totals.medicaments} médicament(s) expirant dans les ${report.horizonDays} jours : ` +
+                `${report.totals.expired} expiré(s), ${report.totals.critical} critique(s), ${report.totals.warning} en alerte`
+            );
+
+            report.patients.forEach(patient => {
+                doc.moveDown().fontSize(12).text(patient.patientName);
+                patient.ordonnances.forEach(ordonnance => {
+                    doc.fontSize(9).text(`Ordonnance ${ordonnance.ordonnanceId}`);
+                    ordonnance.medicaments.forEach(medicament => {
+                        doc.text(`  - ${medicament.name} : ${STATUS_LABELS[medicament.status] || medicament.status}, expire le ${medicament.expirationDate} (${medicament.daysLeft} j)`);
+                    });
+                });
+            });
+
+            doc.moveDown().fontSize(12).text(`Alertes du ${report.periodStart} au ${report.periodEnd}`);
+            doc.fontSize(10).text(
+                `${report.alerts.raised} levée(s) (${report.alerts.byLevel.expired} expirée(s), ${report.alerts.byLevel.critical} critique(s), ` +
+                `${report.alerts.byLevel.warning} en alerte), ${report.alerts.read} lue(s)`
+            );
+            doc.text(
+                `Actions : ${report.alerts.byAction.disposed} détruit(s), ${report.alerts.byAction.reordered} recommandé(s), ` +
+                `${report.alerts.byAction.replaced} remplacé(s)`
+            );
+            report.alerts.items.forEach(alert => {
+                const action = alert.action ? ` - ${ACTION_LABELS[alert.action] || alert.action}` : '';
+                doc.fontSize(9).text(`  ${alert.alertDate} - ${alert.patientName} - ${alert.medicamentName} : ${STATUS_LABELS[alert.alertLevel] || alert.alertLevel}, lue par ${alert.readCount}${action}`);
+            });
+
+            doc.end();
+        });
+    }
+
+    // Générer le rapport, l'enregistrer en CSV et PDF dans Cloud Storage et retourner les liens signés
+    async generate(organizationId, { period = 'weekly', horizonDays = null, generatedBy = 'scheduler' } = {}) {
+        const report = await this.collect(organizationId, { period, horizonDays });
+        const reportRef = this.db.collection('reports').doc();
+        const basePath = `reports/${organizationId}/${report.today}-${period}-${reportRef.id}`;
+        const expiresAt = Date.now() + SIGNED_URL_TTL_MS;
+
+        const files = [
+            { format: 'csv', path: `${basePath}.csv`, contentType: 'text/csv; charset=utf-8', content: Buffer.from(this.toCSV(report), 'utf8') },
+            { format: 'pdf', path: `${basePath}.pdf`, contentType: 'application/pdf', content: await this.toPDF(report) }
+        ];
+
+        const links = {};
+        for (const file of files) {
+            const storageFile = this.getBucket().file(file.path);
+            await storageFile.save(file.content, { contentType: file.contentType, resumable: false });
+            [links[`${file.format}Url`]] = await storageFile.getSignedUrl({ action: 'read', expires: expiresAt });
+        }
+
+        await reportRef.set({
+            organizationId,
+            period,
+            today: report.today,
+            horizonDays: report.horizonDays,
+            periodStart: report.periodStart,
+            periodEnd: report.periodEnd,
+            totals: report.totals,
+            alertsRaised: report.alerts.raised,
+            alertsRead: report.alerts.read,
+            alertsByAction: report.alerts.byAction,
+            csvPath: files[0].path,
+            pdfPath: files[1].path,
+            generatedBy,
+            createdAt: admin.firestore.Timestamp.now()
+        });
+
+        logger.info('Report generated', { reportId: reportRef.id, organizationId, period });
+        return {
+            id: reportRef.id,
+            report,
+            ...links,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+}
+
+module.exports = { ReportService, REPORT_PERIODS };
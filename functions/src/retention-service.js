@@ -0,0 +1,195 @@
+const functions = require('firebase-functions/v1');
+const admin = require('firebase-admin');
+const { getLocalDate, addMonths, startOfLocalDay } = require('./facility-time');
+const { logger } = require('./logger');
+
+// Politiques de rétention : durée (mois) et champ de date de chaque collection.
+// dateType 'date' : chaîne YYYY-MM-DD (jour calendaire) ; 'timestamp' : Timestamp Firestore.
+// Les orphelins (parentCollection) sont supprimés dès que leur document parent n'existe plus.
+// storageFields : champs donnant les fichiers Cloud Storage supprimés avec le document (rapports CSV/PDF).
+// pending_notifications : un envoi différé est livré sous un jour, les restes (destinataire supprimé...)
+// contiennent encore les noms des patients.
+const RETENTION_POLICIES = [
+    { collection: 'medication_alerts', field: 'alertDate', dateType: 'date', months: 6 },
+    { collection: 'notification_summaries', field: 'date', dateType: 'date', months: 6 },
+    { collection: 'user_notification_summaries', field: 'date', dateType: 'date', months: 6 },
+    { collection: 'notification_logs', field: 'timestamp', dateType: 'timestamp', months: 3 },
+    { collection: 'check_runs', field: 'date', dateType: 'date', months: 3 },
+    { collection: 'daily_stats', field: 'timestamp', dateType: 'timestamp', months: 12 },
+    { collection: 'retention_runs', field: 'date', dateType: 'date', months: 12 },
+    { collection: 'delivery_metrics', field: 'date', dateType: 'date', months: 12 },
+    { collection: 'admin_alerts', field: 'createdAt', dateType: 'timestamp', months: 12 },
+    { collection: 'audit_log', field: 'timestamp', dateType: 'timestamp', months: 24 },
+    { collection: 'pending_notifications', field: 'createdAt', dateType: 'timestamp', months: 1 },
+    { collection: 'reports', field: 'createdAt', dateType: 'timestamp', months: 12, storageFields: ['csvPath', 'pdfPath'] },
+    { collection: 'medication_tracking', parentCollection: 'medicaments', parentField: 'medicamentId' }
+];
+
+// Taille des pages lues puis supprimées (limite de 500 écritures par batch)
+const PAGE_SIZE = 400;
+
+class RetentionService {
+    // policies : politiques à appliquer (par défaut, RETENTION_POLICIES surchargées par functions.config().retention)
+    // bucket : bucket Cloud Storage des fichiers liés (par défaut, le bucket du projet)
+    constructor(policies = null, bucket = null) {
+        this.db = admin.firestore();
+        this.bucket = bucket;
+        this.policies = policies || this.loadPolicies();
+    }
+
+    getBucket() {
+        if (!this.bucket) {
+            this.bucket = admin.storage().bucket();
+        }
+        return this.bucket;
+    }
+
+    // Appliquer les durées configurées (ex. retention.notification_logs=6) aux politiques par défaut
+    loadPolicies(config = null) {
+        let overrides = {};
+        try {
+            overrides = (config || functions.config()).retention || {};
+        } catch (error) {
+            logger.error('Error reading retention config', { error });
+        }
+
+        return RETENTION_POLICIES.map(policy => {
+            const months = parseInt(overrides[policy.collection], 10);
+            if (policy.months && Number.isInteger(months) && months > 0) {
+                return { ...policy, months };
+            }
+            return policy;
+        });
+    }
+
+    // Politique appliquée à une collection, ou undefined
+    getPolicy(collection) {
+        return this.policies.find(policy => policy.collection === collection);
+    }
+
+    // Date limite d'une politique : les documents antérieurs sont supprimés
+    getCutoff(policy, today = getLocalDate()) {
+        const cutoffDate = addMonths(today, -policy.months);
+        return policy.dateType === 'date'
+            ? cutoffDate
+            : admin.firestore.Timestamp.fromDate(startOfLocalDay(cutoffDate));
+    }
+
+    // Appliquer toutes les politiques ; en dry-run, compter sans supprimer
+    async apply({ dryRun = false, today = getLocalDate() } = {}) {
+        const results = [];
+
+        for (const policy of this.policies) {
+            try {
+                const result = policy.parentCollection
+                    ? await this.applyOrphanPolicy(policy, dryRun)
+                    : await this.applyAgePolicy(policy, dryRun, today);
+                results.push(result);
+                logger.info(dryRun ? 'Retention dry run' : 'Retention applied', result);
+            } catch (error) {
+                logger.error('Error applying retention policy', { collection: policy.collection, error });
+                results.push({ collection: policy.collection, matched: 0, deleted: 0, error: error.message });
+            }
+        }
+
+        return {
+            dryRun,
+            today,
+            matched: results.reduce((sum, result) => sum + result.matched, 0),
+            deleted: results.reduce((sum, result) => sum + result.deleted, 0),
+            collections: results
+        };
+    }
+
+    // Supprimer page par page les documents plus anciens que la durée de rétention
+    async applyAgePolicy(policy, dryRun, today) {
+        const cutoff = this.getCutoff(policy, today);
+        const query = this.db.collection(policy.collection).where(policy.field, '<', cutoff);
+        const result = {
+            collection: policy.collection,
+            months: policy.months,
+            cutoff: policy.dateType === 'date' ? cutoff : cutoff.toDate().toISOString(),
+            matched: 0,
+            deleted: 0
+        };
+        if (policy.storageFields) {
+            result.filesDeleted = 0;
+        }
+
+        if (dryRun) {
+            const countSnapshot = await query.count().get();
+            result.matched = countSnapshot.data().count;
+            return result;
+        }
+
+        // Chaque page supprimée sort de la requête : on relit la première page jusqu'à épuisement
+        while (true) {
+            const page = await query.limit(PAGE_SIZE).get();
+            if (page.empty) break;
+
+            // Fichiers d'abord : un échec laisse le document, retenté à la prochaine exécution
+            if (policy.storageFields) {
+                result.filesDeleted += await this.deleteStorageFiles(page.docs, policy.storageFields);
+            }
+
+            const batch = this.db.batch();
+            page.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+
+            result.matched += page.size;
+            result.deleted += page.size;
+            if (page.size < PAGE_SIZE) break;
+        }
+
+        return result;
+    }
+
+    // Supprimer les fichiers Cloud Storage référencés par les documents (fichiers déjà absents ignorés)
+    async deleteStorageFiles(docs, storageFields) {
+        const paths = docs.flatMap(doc => storageFields.map(field => doc.data()[field]).filter(Boolean));
+        for (const path of paths) {
+            await this.getBucket().file(path).delete({ ignoreNotFound: true });
+        }
+        return paths.length;
+    }
+
+    // Supprimer les documents dont le parent n'existe plus (ex. tracking d'un médicament supprimé)
+    async applyOrphanPolicy(policy, dryRun) {
+        const result = { collection: policy.collection, parentCollection: policy.parentCollection, matched: 0, deleted: 0 };
+        let lastDoc = null;
+
+        while (true) {
+            let query = this.db.collection(policy.collection)
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(PAGE_SIZE);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+
+            const page = await query.get();
+            if (page.empty) break;
+            lastDoc = page.docs[page.docs.length - 1];
+
+            const withParent = page.docs.filter(doc => doc.data()[policy.parentField]);
+            const parents = withParent.length > 0
+                ? await this.db.getAll(...withParent.map(doc => this.db.collection(policy.parentCollection).doc(doc.data()[policy.parentField])))
+                : [];
+            const existingParents = new Set(parents.filter(parent => parent.exists).map(parent => parent.id));
+            const orphans = page.docs.filter(doc => !existingParents.has(doc.data()[policy.parentField]));
+
+            result.matched += orphans.length;
+            if (!dryRun && orphans.length > 0) {
+                const batch = this.db.batch();
+                orphans.forEach(doc => batch.delete(doc.ref));
+                await batch.commit();
+                result.deleted += orphans.length;
+            }
+
+            if (page.size < PAGE_SIZE) break;
+        }
+
+        return result;
+    }
+}
+
+module.exports = { RetentionService, RETENTION_POLICIES };
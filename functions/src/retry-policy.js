@@ -0,0 +1,80 @@
+const admin = require('firebase-admin');
+
+// Paramètres du retry : délai initial doublé à chaque tentative, nombre maximal de tentatives
+const RETRY_BASE_DELAY_MINUTES = 30;
+const RETRY_MAX_ATTEMPTS = 5;
+
+// Erreur de retry qu'il est inutile de retenter (destinataire disparu, aucun appareil...)
+function permanentRetryError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+// Envoi reporté par les préférences du destinataire (heures calmes) : nouvelle tentative à retryAt,
+// sans consommer de tentative
+function postponedRetryError(message, retryAt) {
+    const error = new Error(message);
+    error.retryAt = retryAt;
+    return error;
+}
+
+// Délai avant la tentative suivant la n-ième tentative échouée
+function getRetryDelayMs(attempts) {
+    return RETRY_BASE_DELAY_MINUTES * 60 * 1000 * Math.pow(2, attempts);
+}
+
+// Décision avant une tentative : 'skip' (backoff non écoulé), 'abandon' (log inexploitable ou tentatives épuisées)
+// ou 'attempt'
+function getRetryDecision(log, now = Date.now()) {
+    if (log.nextRetryAt && log.nextRetryAt.toMillis() > now) {
+        return { action: 'skip' };
+    }
+
+    if (!log.details || !log.details.date) {
+        return { action: 'abandon', retryError: 'No summary date on log entry' };
+    }
+
+    if ((log.retryCount || 0) >= RETRY_MAX_ATTEMPTS) {
+        return { action: 'abandon', retryError: 'Max retry attempts reached' };
+    }
+
+    return { action: 'attempt' };
+}
+
+// Statut et champs du log après une tentative échouée : backoff exponentiel, abandon sur erreur permanente
+// ou après RETRY_MAX_ATTEMPTS
+function getFailureUpdate(retryCount, error, now = Date.now()) {
+    if (error.retryAt) {
+        return {
+            status: 'retried',
+            fields: {
+                retryCount: retryCount,
+                retryError: error.message,
+                nextRetryAt: admin.firestore.Timestamp.fromDate(error.retryAt)
+            }
+        };
+    }
+
+    const attempts = retryCount + 1;
+    const exhausted = !!error.permanent || attempts >= RETRY_MAX_ATTEMPTS;
+
+    return {
+        status: exhausted ? 'abandoned' : 'retried',
+        fields: {
+            retryCount: attempts,
+            retryError: error.message,
+            nextRetryAt: exhausted ? null : admin.firestore.Timestamp.fromMillis(now + getRetryDelayMs(attempts))
+        }
+    };
+}
+
+module.exports = {
+    RETRY_BASE_DELAY_MINUTES,
+    RETRY_MAX_ATTEMPTS,
+    permanentRetryError,
+    postponedRetryError,
+    getRetryDelayMs,
+    getRetryDecision,
+    getFailureUpdate
+};
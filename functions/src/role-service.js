@@ -0,0 +1,79 @@
+const admin = require('firebase-admin');
+const { ROLES } = require('./auth-guard');
+const { getOrganizationId } = require('./organization-service');
+const { logger } = require('./logger');
+
+class RoleService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Organisation d'un utilisateur cible : claim organizationId, sinon profil users/{uid}
+    // (l'admin qui attribue le rôle confirme ainsi le rattachement déclaré dans le profil)
+    async getUserOrganizationId(userRecord) {
+        const claims = userRecord.customClaims || {};
+        if (claims.organizationId) {
+            return claims.organizationId;
+        }
+
+        const userDoc = await this.db.collection('users').doc(userRecord.uid).get();
+        return getOrganizationId(userDoc.exists ? userDoc.data() : null);
+    }
+
+    // Attribuer (role) ou retirer (role = null) le rôle d'un utilisateur en conservant ses autres claims ;
+    // le claim organizationId est posé au passage, seule source de l'organisation des appels callable
+    async setRole(userId, role, grantedBy, organizationId) {
+        if (role !== null && !ROLES.includes(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+
+        const userRecord = await admin.auth().getUser(userId);
+        const claims = { ...(userRecord.customClaims || {}) };
+        const previousRole = claims.role || null;
+
+        if (role) {
+            claims.role = role;
+        } else {
+            delete claims.role;
+        }
+        claims.organizationId = organizationId;
+
+        await admin.auth().setCustomUserClaims(userId, claims);
+
+        // Copie dans le profil pour l'affichage côté application (les claims restent la référence)
+        await this.db.collection('users').doc(userId).set({
+            role: role,
+            organizationId: organizationId,
+            roleUpdatedBy: grantedBy,
+            roleUpdatedAt: admin.firestore.Timestamp.now()
+        }, { merge: true });
+
+        logger.info('User role changed', { userId, previousRole, role, grantedBy, organizationId });
+        return { previousRole, role };
+    }
+
+    // Désigner (enabled) ou retirer un superviseur d'escalade : claim escalationSupervisor, seule source lue
+    // par l'escalade, et copie dans le profil pour l'affichage
+    async setEscalationSupervisor(userId, enabled, grantedBy) {
+        const userRecord = await admin.auth().getUser(userId);
+        const claims = { ...(userRecord.customClaims || {}) };
+
+        if (enabled) {
+            claims.escalationSupervisor = true;
+        } else {
+            delete claims.escalationSupervisor;
+        }
+
+        await admin.auth().setCustomUserClaims(userId, claims);
+        await this.db.collection('users').doc(userId).set({
+            escalationSupervisor: enabled,
+            escalationSupervisorUpdatedBy: grantedBy,
+            escalationSupervisorUpdatedAt: admin.firestore.Timestamp.now()
+        }, { merge: true });
+
+        logger.info('Escalation supervisor changed', { userId, enabled, grantedBy });
+        return { escalationSupervisor: enabled };
+    }
+}
+
+module.exports = { RoleService };
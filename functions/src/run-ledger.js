@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+// Étapes successives d'une exécution du contrôle quotidien
+const RUN_STATES = ['started', 'alerts_written', 'notified', 'completed'];
+
+// Durée du bail : au-delà, une autre invocation peut reprendre l'exécution
+const LEASE_DURATION_MS = 10 * 60 * 1000;
+
+class RunLedger {
+    // Le propriétaire du bail est propre à chaque invocation : une redélivrance Pub/Sub partage l'eventId
+    // de l'invocation d'origine, qui n'est conservé que pour le diagnostic
+    constructor(date, eventId = null) {
+        this.db = admin.firestore();
+        this.date = date;
+        this.owner = crypto.randomUUID();
+        this.eventId = eventId;
+        this.ref = this.db.collection('check_runs').doc(date);
+    }
+
+    // Prendre le bail de l'exécution du jour ; retourne l'état à partir duquel reprendre
+    async acquire() {
+        return await this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(this.ref);
+            const now = admin.firestore.Timestamp.now();
+            const run = doc.exists ? doc.data() : null;
+
+            if (run && run.state === 'completed') {
+                return { acquired: false, reason: 'completed', run };
+            }
+
+            if (run && run.leaseOwner && run.leaseOwner !== this.owner &&
+                run.leaseExpiresAt && run.leaseExpiresAt.toMillis() > now.toMillis()) {
+                return { acquired: false, reason: 'lease_held', run };
+            }
+
+            const update = {
+                date: this.date,
+                state: run ? run.state : 'started',
+                leaseOwner: this.owner,
+                leaseEventId: this.eventId,
+                leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + LEASE_DURATION_MS),
+                attempts: (run && run.attempts ? run.attempts : 0) + 1,
+                updatedAt: now
+            };
+            if (!run) {
+                update.startedAt = now;
+            }
+
+            transaction.set(this.ref, update, { merge: true });
+            return { acquired: true, resumed: !!run, run: { ...run, ...update } };
+        });
+    }
+
+    // Passer à l'étape suivante en renouvelant le bail, si on le détient toujours
+    async advance(state, fields = {}) {
+        if (!RUN_STATES.includes(state)) {
+            throw new Error(`Unknown run state: ${state}`);
+        }
+
+        await this.update({ ...fields, state: state });
+    }
+
+    // Enregistrer une progression dans l'étape courante (ex. organisations déjà notifiées) en renouvelant le bail
+    async checkpoint(fields) {
+        await this.update(fields);
+    }
+
+    async update(fields) {
+        await this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(this.ref);
+            if (!doc.exists || doc.data().leaseOwner !== this.owner) {
+                throw new Error(`Lease on check run ${this.date} lost`);
+            }
+
+            const now = admin.firestore.Timestamp.now();
+            const update = {
+                ...fields,
+                leaseExpiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + LEASE_DURATION_MS),
+                updatedAt: now
+            };
+            if (fields.state === 'completed') {
+                update.completedAt = now;
+                update.leaseOwner = null;
+                update.leaseExpiresAt = null;
+            }
+
+            transaction.update(this.ref, update);
+        });
+    }
+
+    // Libérer le bail après un échec pour qu'une nouvelle invocation puisse reprendre
+    async release(error) {
+        try {
+            await this.db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(this.ref);
+                if (!doc.exists || doc.data().leaseOwner !== this.owner) return;
+
+                transaction.update(this.ref, {
+                    leaseOwner: null,
+                    leaseExpiresAt: null,
+                    lastError: error ? error.message : null,
+                    updatedAt: admin.firestore.Timestamp.now()
+                });
+            });
+        } catch (releaseError) {
+            logger.error('Error releasing check run lease', { date: this.date, error: releaseError });
+        }
+    }
+
+    // Indique si l'étape courante a déjà atteint ou dépassé l'étape donnée
+    static hasReached(currentState, state) {
+        return RUN_STATES.indexOf(currentState) >= RUN_STATES.indexOf(state);
+    }
+}
+
+module.exports = { RunLedger, RUN_STATES };
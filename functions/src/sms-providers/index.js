@@ -0,0 +1,38 @@
+const { TwilioProvider } = require('./twilio-provider');
+const { OvhProvider } = require('./ovh-provider');
+const { OutboxProvider } = require('./outbox-provider');
+const { logger } = require('../logger');
+
+// Fournisseurs disponibles, référencés par leur nom dans sms.providers
+const PROVIDERS = {
+    twilio: config => new TwilioProvider(config.twilio),
+    ovh: config => new OvhProvider(config.ovh),
+    outbox: config => new OutboxProvider(config.sms)
+};
+
+// Construire la liste ordonnée des fournisseurs à partir de la configuration
+// Exemple : firebase functions:config:set sms.providers="twilio,ovh"
+function createProviders(config = {}) {
+    const names = ((config.sms && config.sms.providers) || 'twilio')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return names.reduce((providers, name) => {
+        const factory = PROVIDERS[name];
+        if (!factory) {
+            logger.error('Unknown SMS provider in configuration', { provider: name });
+            return providers;
+        }
+
+        const provider = factory(config);
+        if (!provider.isConfigured()) {
+            logger.info('SMS provider not configured - skipped', { provider: provider.name });
+            return providers;
+        }
+
+        return [...providers, provider];
+    }, []);
+}
+
+module.exports = { createProviders, TwilioProvider, OvhProvider, OutboxProvider };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+
+// Fournisseur "boîte d'envoi" pour l'émulateur et les tests : les SMS sont conservés
+// en mémoire et, si un fichier est configuré, ajoutés en JSON ligne par ligne
+class OutboxProvider {
+    constructor(config = {}) {
+        this.name = 'Outbox';
+        this.filePath = config.outbox_file || null;
+        this.fromNumber = 'outbox';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(phoneNumber, message) {
+        const entry = {
+            messageId: `outbox-${OutboxProvider.messages.length + 1}`,
+            to: phoneNumber,
+            body: message,
+            sentAt: new Date().toISOString()
+        };
+
+        OutboxProvider.messages.push(entry);
+        if (this.filePath) {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        }
+
+        return { messageId: entry.messageId, status: 'delivered', cost: '0' };
+    }
+}
+
+// Messages envoyés depuis le démarrage du processus (partagés entre instances)
+OutboxProvider.messages = [];
+
+module.exports = { OutboxProvider };
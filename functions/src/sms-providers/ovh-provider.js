@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// Fournisseur SMS OVHcloud via son API REST (configuration : functions.config().ovh)
+class OvhProvider {
+    constructor(config = {}) {
+        this.name = 'OVH';
+        this.endpoint = config.endpoint || 'https://eu.api.ovh.com/1.0';
+        this.applicationKey = config.application_key;
+        this.applicationSecret = config.application_secret;
+        this.consumerKey = config.consumer_key;
+        this.serviceName = config.service_name;
+        this.fromNumber = config.sender;
+    }
+
+    isConfigured() {
+        return !!(this.applicationKey && this.applicationSecret && this.consumerKey && this.serviceName);
+    }
+
+    // Signature OVH : "$1$" + SHA1(secret+consumer+méthode+url+corps+timestamp)
+    sign(method, url, body, timestamp) {
+        const toSign = [this.applicationSecret, this.consumerKey, method, url, body, timestamp].join('+');
+        return '$1$' + crypto.createHash('sha1').update(toSign).digest('hex');
+    }
+
+    async send(phoneNumber, message) {
+        const url = `${this.endpoint}/sms/${encodeURIComponent(this.serviceName)}/jobs`;
+        const body = JSON.stringify({
+            message: message,
+            receivers: [phoneNumber],
+            sender: this.fromNumber,
+            senderForResponse: !this.fromNumber,
+            noStopClause: true,
+            priority: 'high'
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Ovh-Application': this.applicationKey,
+                'X-Ovh-Consumer': this.consumerKey,
+                'X-Ovh-Timestamp': timestamp,
+                'X-Ovh-Signature': this.sign('POST', url, body, timestamp)
+            },
+            body: body
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.message || `OVH API error ${response.status}`);
+            error.code = result.errorCode || response.status;
+            throw error;
+        }
+
+        if (result.invalidReceivers && result.invalidReceivers.length > 0) {
+            const error = new Error(`OVH rejected receiver ${phoneNumber}`);
+            error.code = 'INVALID_RECEIVER';
+            throw error;
+        }
+
+        return {
+            messageId: result.ids && result.ids.length > 0 ? String(result.ids[0]) : null,
+            status: 'queued',
+            cost: result.totalCreditsRemoved !== undefined ? String(result.totalCreditsRemoved) : '0'
+        };
+    }
+}
+
+module.exports = { OvhProvider };
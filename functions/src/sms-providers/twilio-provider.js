@@ -0,0 +1,38 @@
+// Fournisseur SMS Twilio (configuration : functions.config().twilio)
+class TwilioProvider {
+    constructor(config = {}) {
+        this.name = 'Twilio';
+        this.accountSid = config.account_sid;
+        this.authToken = config.auth_token;
+        this.fromNumber = config.phone_number;
+        this.client = null;
+    }
+
+    isConfigured() {
+        return !!(this.accountSid && this.authToken);
+    }
+
+    // Le client n'est créé qu'au premier envoi
+    getClient() {
+        if (!this.client) {
+            this.client = require('twilio')(this.accountSid, this.authToken);
+        }
+        return this.client;
+    }
+
+    async send(phoneNumber, message) {
+        const result = await this.getClient().messages.create({
+            body: message,
+            from: this.fromNumber,
+            to: phoneNumber
+        });
+
+        return {
+            messageId: result.sid,
+            status: result.status,
+            cost: result.price || '0'
+        };
+    }
+}
+
+module.exports = { TwilioProvider };
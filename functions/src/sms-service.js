@@ -1,62 +1,64 @@
 const functions = require('firebase-functions/v1');
-const admin = require('firebase-admin');
+const { createProviders } = require('./sms-providers');
+const { logger } = require('./logger');
+const { toDate } = require('./medication-status');
+const { getLocalDate } = require('./facility-time');
+const { renderSMSMessage, renderEscalationSMS } = require('./message-templates');
 
 class SMSService {
-    constructor() {
-        // Vérifier si Twilio est configuré
+    // providers : liste ordonnée de fournisseurs (par défaut, lue depuis la configuration)
+    constructor(providers = null) {
         try {
-            const config = functions.config();
-            this.isEnabled = !!(config.twilio && config.twilio.account_sid && config.twilio.auth_token);
-
-            if (this.isEnabled) {
-                this.accountSid = config.twilio.account_sid;
-                this.authToken = config.twilio.auth_token;
-                this.fromNumber = config.twilio.phone_number;
-                this.client = require('twilio')(this.accountSid, this.authToken);
-                console.log('Twilio SMS service initialized successfully');
-            } else {
-                console.log('Twilio SMS service not configured - SMS fallback disabled');
-            }
+            this.providers = providers || createProviders(functions.config());
         } catch (error) {
-            console.error('Error initializing Twilio SMS service:', error);
-            this.isEnabled = false;
+            logger.error('Error initializing SMS providers', { error });
+            this.providers = [];
+        }
+
+        this.isEnabled = this.providers.length > 0;
+        if (this.isEnabled) {
+            logger.info('SMS service initialized', { providers: this.providers.map(p => p.name) });
+        } else {
+            logger.info('SMS service not configured - SMS fallback disabled');
         }
     }
 
-    // Méthode pour envoyer un SMS
+    // Méthode pour envoyer un SMS, en essayant les fournisseurs dans l'ordre configuré
     async sendSMS(phoneNumber, message) {
         if (!this.isEnabled) {
-            console.log(`SMS service disabled. Would send to ${phoneNumber}: ${message}`);
+            logger.info('SMS service disabled, message not sent', { phoneNumber, messageLength: message.length });
             return { success: false, reason: 'SMS service not configured' };
         }
 
-        try {
-            // Valider le format du numéro de téléphone
-            if (!this.isValidPhoneNumber(phoneNumber)) {
-                throw new Error(`Invalid phone number format: ${phoneNumber}`);
-            }
-
-            const result = await this.client.messages.create({
-                body: message,
-                from: this.fromNumber,
-                to: phoneNumber
-            });
+        // Valider le format du numéro de téléphone
+        if (!this.isValidPhoneNumber(phoneNumber)) {
+            logger.error('Invalid phone number format', { phoneNumber });
+            return { success: false, error: `Invalid phone number format: ${phoneNumber}`, code: 'INVALID_PHONE_NUMBER' };
+        }
 
-            console.log(`SMS sent successfully to ${phoneNumber}, SID: ${result.sid}`);
-            return {
-                success: true,
-                messageId: result.sid,
-                status: result.status,
-                cost: result.price || '0'
-            };
-        } catch (error) {
-            console.error(`Error sending SMS to ${phoneNumber}:`, error);
-            return {
-                success: false,
-                error: error.message,
-                code: error.code || 'UNKNOWN_ERROR'
-            };
+        let lastError = null;
+        for (const provider of this.providers) {
+            try {
+                const result = await provider.send(phoneNumber, message);
+                logger.info('SMS sent', { phoneNumber, provider: provider.name, messageId: result.messageId });
+                return {
+                    success: true,
+                    provider: provider.name,
+                    messageId: result.messageId,
+                    status: result.status,
+                    cost: result.cost || '0'
+                };
+            } catch (error) {
+                logger.error('Error sending SMS', { phoneNumber, provider: provider.name, error });
+                lastError = error;
+            }
         }
+
+        return {
+            success: false,
+            error: lastError.message,
+            code: lastError.code || 'UNKNOWN_ERROR'
+        };
     }
 
     // Valider le format du numéro de téléphone
@@ -69,7 +71,7 @@ class SMSService {
     // Envoyer des SMS à plusieurs destinataires
     async sendBulkSMS(phoneNumbers, message) {
         if (!this.isEnabled) {
-            console.log(`SMS service disabled. Would send bulk SMS to ${phoneNumbers.length} recipients`);
+            logger.info('SMS service disabled, bulk SMS not sent', { recipientCount: phoneNumbers.length });
             return { success: false, reason: 'SMS service not configured' };
         }
 
@@ -99,7 +101,7 @@ class SMSService {
         const successCount = results.filter(r => r.success).length;
         const failureCount = results.length - successCount;
 
-        console.log(`Bulk SMS completed: ${successCount} success, ${failureCount} failures`);
+        logger.info('Bulk SMS completed', { successCount, failureCount });
 
         return {
             success: failureCount === 0,
@@ -109,35 +111,26 @@ class SMSService {
         };
     }
 
-    // Créer le message SMS pour les alertes de médicaments
-    createMedicationAlertSMS(summary) {
-        const lines = ['🏥 Prescription Manager'];
-        lines.push('Alertes médicaments:');
-
-        if (summary.newExpiredCount > 0) {
-            lines.push(`🚨 ${summary.newExpiredCount} médicament${summary.newExpiredCount > 1 ? 's' : ''} expiré${summary.newExpiredCount > 1 ? 's' : ''}`);
-        }
-
-        if (summary.newCriticalCount > 0) {
-            lines.push(`⚠️ ${summary.newCriticalCount} médicament${summary.newCriticalCount > 1 ? 's' : ''} critique${summary.newCriticalCount > 1 ? 's' : ''}`);
-        }
-
-        if (summary.newWarningCount > 0) {
-            lines.push(`🟡 ${summary.newWarningCount} médicament${summary.newWarningCount > 1 ? 's' : ''} en alerte`);
-        }
-
-        lines.push('');
-        lines.push('Consultez l\'app pour plus de détails.');
+    // Créer le message SMS pour les alertes de médicaments (GSM-7, voir message-templates)
+    // options : { locale, messageFormat } (préférences de l'utilisateur)
+    createMedicationAlertSMS(summary, options = {}) {
+        return renderSMSMessage(summary, options);
+    }
 
-        return lines.join('\n');
+    // Créer le SMS d'escalade envoyé au superviseur pour une alerte restée non lue
+    createEscalationSMS(alert, unreadHours, options = {}) {
+        const expiration = toDate(alert.expirationDate);
+        return renderEscalationSMS(alert, unreadHours, expiration ? getLocalDate(expiration) : null, options);
     }
 
     // Obtenir le statut du service SMS
     getServiceStatus() {
+        const primary = this.providers[0];
         return {
             enabled: this.isEnabled,
-            provider: 'Twilio',
-            fromNumber: this.fromNumber || 'Not configured'
+            provider: primary ? primary.name : 'None',
+            fallbackProviders: this.providers.slice(1).map(provider => provider.name),
+            fromNumber: (primary && primary.fromNumber) || 'Not configured'
         };
     }
 
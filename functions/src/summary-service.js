@@ -0,0 +1,194 @@
+const admin = require('firebase-admin');
+const { NotificationSummary } = require('./models');
+const { toDate } = require('./medication-status');
+const { getLocalDate } = require('./facility-time');
+
+// Nombre maximal de documents lus par getAll, limite de l'opérateur "in"
+const GET_ALL_CHUNK_SIZE = 100;
+const IN_QUERY_LIMIT = 30;
+
+// Taille de page par défaut et maximale du fil des résumés quotidiens
+const DEFAULT_FEED_PAGE_SIZE = 14;
+const MAX_FEED_PAGE_SIZE = 60;
+
+const DELIVERY_CHANNELS = ['push', 'sms', 'email'];
+
+// Résumés quotidiens fusionnés avec les alertes du digest d'un utilisateur : hors de notification_summaries,
+// dont le fil parcourt les ids par plage "{organisation}_"
+const USER_SUMMARIES_COLLECTION = 'user_notification_summaries';
+
+// Id du résumé quotidien fusionné avec les alertes du digest d'un utilisateur
+function getUserSummaryId(summaryId, userId) {
+    return `${summaryId}_${userId}`;
+}
+
+function toISOString(timestamp) {
+    return timestamp && typeof timestamp.toDate === 'function' ? timestamp.toDate().toISOString() : null;
+}
+
+// Statut d'un canal pour un utilisateur et un résumé, d'après ses entrées notification_logs :
+// 'delivered' (directement ou après retry), 'retrying', 'failed' (retry abandonné) ou 'not_sent'
+function getChannelStatus(logs) {
+    if (logs.length === 0) {
+        return { status: 'not_sent' };
+    }
+
+    const sorted = [...logs].sort((a, b) => b.timestamp.toMillis() - a.timestamp.toMillis());
+    const success = sorted.find(log => log.status === 'success');
+    if (success) {
+        return { status: 'delivered', at: toISOString(success.timestamp) };
+    }
+
+    const latest = sorted[0];
+    if (latest.retryStatus === 'succeeded') {
+        return { status: 'delivered', at: toISOString(latest.lastRetryAt || latest.timestamp), retried: true };
+    }
+    if (latest.retryStatus === 'deferred') {
+        return { status: 'deferred', reason: latest.deferredReason || null, deliverAfter: null };
+    }
+
+    const error = latest.retryError || (latest.details && latest.details.error) || null;
+    return { status: latest.retryStatus === 'abandoned' ? 'failed' : 'retrying', at: toISOString(latest.timestamp), error };
+}
+
+// Statut de chaque canal ; une livraison mise en attente (heures calmes, digest), y compris par le retry,
+// apparaît comme 'deferred'
+function buildDeliveryStatus(logs, pending = null) {
+    const delivery = {};
+
+    DELIVERY_CHANNELS.forEach(channel => {
+        const status = getChannelStatus(logs.filter(log => log.type === channel));
+        delivery[channel] = ['not_sent', 'deferred'].includes(status.status) && pending
+            ? { status: 'deferred', reason: pending.reason, deliverAfter: toISOString(pending.deliverAfter) }
+            : status;
+    });
+
+    return delivery;
+}
+
+class SummaryService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Résumé persisté dans notification_summaries ou, fusionné pour un utilisateur, dans USER_SUMMARIES_COLLECTION ; sinon null
+    async getSummary(summaryId) {
+        for (const collection of ['notification_summaries', USER_SUMMARIES_COLLECTION]) {
+            const doc = await this.db.collection(collection).doc(summaryId).get();
+            if (doc.exists) {
+                return NotificationSummary.fromFirestore(doc.data(), doc.id);
+            }
+        }
+        return null;
+    }
+
+    // Enregistrer le résumé fusionné d'un utilisateur
+    async saveUserSummary(summary) {
+        await this.db.collection(USER_SUMMARIES_COLLECTION).doc(summary.id).set(summary.toFirestore());
+    }
+
+    // Page du fil des résumés quotidiens d'une organisation, du plus récent au plus ancien, avec les
+    // statistiques d'envoi de l'exécution (deliveryStats). Ids "{organisation}_{date}" : le tri par id suit la date, sans index composite
+    async getDailyFeed(organizationId, { limit = DEFAULT_FEED_PAGE_SIZE, pageToken = null } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_FEED_PAGE_SIZE, 1), MAX_FEED_PAGE_SIZE);
+        const summaries = [];
+        let cursor = pageToken;
+        let hasMore = true;
+
+        // La plage d'ids contient aussi d'autres documents : organisation dont l'id prolonge celui-ci ("ehpad" / "ehpad_nord"),
+        // résumés temps réel dont l'id de médicament commence ainsi, anciens résumés fusionnés d'utilisateurs.
+        // On relit donc la suite jusqu'à remplir la page ; le jeton reprend après le dernier document examiné
+        while (summaries.length < pageSize && hasMore) {
+            let query = this.db.collection('notification_summaries')
+                .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+                .endAt(`${organizationId}_`)
+                .limit(pageSize);
+            query = cursor ? query.startAfter(cursor) : query.startAt(`${organizationId}_\uf8ff`);
+
+            const snapshot = await query.get();
+            let examined = 0;
+
+            for (const doc of snapshot.docs) {
+                if (summaries.length === pageSize) break;
+                examined++;
+                cursor = doc.id;
+
+                const summary = NotificationSummary.fromFirestore(doc.data(), doc.id);
+                if (summary.type === 'daily' && !summary.userId && summary.organizationId === organizationId) {
+                    summaries.push({ summary, deliveryStats: doc.data().deliveryStats || null });
+                }
+            }
+
+            hasMore = examined < snapshot.size || snapshot.size === pageSize;
+        }
+
+        return {
+            summaries,
+            nextPageToken: hasMore ? cursor : null
+        };
+    }
+
+    // Statut de livraison par canal de chaque résumé pour un utilisateur, envoyé tel quel ou fusionné avec son digest
+    // logsCutoff : avant cette date les logs ont été purgés (rétention), le statut est 'unknown'
+    async getUserDelivery(userId, summaries, logsCutoff = null) {
+        const summaryIds = summaries.flatMap(summary => [summary.id, getUserSummaryId(summary.id, userId)]);
+        const logs = [];
+
+        for (let i = 0; i < summaryIds.length; i += IN_QUERY_LIMIT) {
+            const snapshot = await this.db.collection('notification_logs')
+                .where('details.userId', '==', userId)
+                .where('details.summaryId', 'in', summaryIds.slice(i, i + IN_QUERY_LIMIT))
+                .get();
+            snapshot.docs.forEach(doc => logs.push(doc.data()));
+        }
+
+        const pendingRefs = summaryIds.map(id => this.db.collection('pending_notifications').doc(`${userId}_${id}`));
+        const pendingDocs = pendingRefs.length > 0 ? await this.db.getAll(...pendingRefs) : [];
+        const pending = new Map(pendingDocs.filter(doc => doc.exists).map(doc => [doc.data().summaryId, doc.data()]));
+
+        return new Map(summaries.map(summary => {
+            const ids = [summary.id, getUserSummaryId(summary.id, userId)];
+            const summaryLogs = logs.filter(log => ids.includes(log.details.summaryId));
+            const purged = logsCutoff && summaryLogs.length === 0 && summary.createdAt && summary.createdAt.toMillis() < logsCutoff.toMillis();
+
+            const delivery = purged
+                ? Object.fromEntries(DELIVERY_CHANNELS.map(channel => [channel, { status: 'unknown' }]))
+                : buildDeliveryStatus(summaryLogs, pending.get(ids[0]) || pending.get(ids[1]));
+            return [summary.id, delivery];
+        }));
+    }
+
+    // Alertes d'un résumé avec leur état courant (statut, lecture par l'utilisateur)
+    // Les résumés antérieurs aux deep-links n'ont pas d'alertId : leurs alertes sont renvoyées telles quelles
+    async resolveAlerts(summary, userId) {
+        const alertIds = [...new Set(summary.newAlerts.map(alert => alert.alertId).filter(Boolean))];
+        const current = new Map();
+
+        for (let i = 0; i < alertIds.length; i += GET_ALL_CHUNK_SIZE) {
+            const refs = alertIds.slice(i, i + GET_ALL_CHUNK_SIZE).map(id => this.db.collection('medication_alerts').doc(id));
+            const docs = await this.db.getAll(...refs);
+            docs.filter(doc => doc.exists).forEach(doc => current.set(doc.id, doc.data()));
+        }
+
+        return summary.newAlerts.map(alert => {
+            const stored = alert.alertId ? current.get(alert.alertId) : null;
+            const userState = stored && stored.userStates ? stored.userStates[userId] : null;
+            const expiration = toDate(alert.expirationDate);
+
+            return {
+                alertId: alert.alertId || null,
+                medicamentId: alert.medicamentId,
+                ordonnanceId: alert.ordonnanceId,
+                patientName: alert.patientName,
+                medicamentName: alert.medicamentName,
+                alertLevel: alert.alertLevel,
+                expirationDate: expiration ? getLocalDate(expiration) : null,
+                // 'deleted' : alerte supprimée depuis (rétention) ; null : résumé sans alertId
+                status: stored ? (stored.status || 'active') : (alert.alertId ? 'deleted' : null),
+                isRead: !!(userState && userState.isRead)
+            };
+        });
+    }
+}
+
+module.exports = { SummaryService, buildDeliveryStatus, getChannelStatus, getUserSummaryId, USER_SUMMARIES_COLLECTION };
@@ -0,0 +1,72 @@
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+// Seuils par défaut (en jours avant expiration)
+const DEFAULT_THRESHOLDS = { criticalDays: 14, warningDays: 30 };
+
+class ThresholdService {
+    constructor() {
+        this.db = admin.firestore();
+    }
+
+    // Charger les seuils globaux depuis settings/expiration_thresholds
+    async getGlobalThresholds() {
+        try {
+            const doc = await this.db.collection('settings').doc('expiration_thresholds').get();
+            if (!doc.exists) {
+                return { ...DEFAULT_THRESHOLDS, source: 'default' };
+            }
+
+            const thresholds = this.mergeThresholds(DEFAULT_THRESHOLDS, doc.data(), 'settings');
+            return { ...thresholds, source: 'global' };
+        } catch (error) {
+            logger.error('Error loading expiration thresholds, using defaults', { error });
+            return { ...DEFAULT_THRESHOLDS, source: 'default' };
+        }
+    }
+
+    // Résoudre les seuils applicables : médicament > ordonnance > global
+    resolve(globalThresholds, ordonnance = {}, medicament = {}) {
+        let resolved = { ...globalThresholds };
+
+        if (ordonnance && ordonnance.expirationThresholds) {
+            resolved = {
+                ...this.mergeThresholds(resolved, ordonnance.expirationThresholds, ordonnance.id ? `ordonnance ${ordonnance.id}` : 'ordonnance'),
+                source: 'ordonnance'
+            };
+        }
+
+        if (medicament && medicament.expirationThresholds) {
+            resolved = {
+                ...this.mergeThresholds(resolved, medicament.expirationThresholds, medicament.id ? `medicament ${medicament.id}` : 'medicament'),
+                source: 'medicament'
+            };
+        }
+
+        return resolved;
+    }
+
+    // Appliquer une surcharge partielle en ignorant les valeurs invalides
+    mergeThresholds(base, override, label) {
+        const merged = { criticalDays: base.criticalDays, warningDays: base.warningDays };
+
+        ['criticalDays', 'warningDays'].forEach(key => {
+            if (override[key] === undefined || override[key] === null) return;
+
+            if (Number.isInteger(override[key]) && override[key] >= 0) {
+                merged[key] = override[key];
+            } else {
+                logger.warn('Ignoring invalid threshold', { key, label, value: override[key] });
+            }
+        });
+
+        if (merged.warningDays < merged.criticalDays) {
+            logger.warn('warningDays < criticalDays, keeping previous thresholds', { label });
+            return { criticalDays: base.criticalDays, warningDays: base.warningDays };
+        }
+
+        return merged;
+    }
+}
+
+module.exports = { ThresholdService, DEFAULT_THRESHOLDS };
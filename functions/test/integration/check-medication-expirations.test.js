@@ -0,0 +1,217 @@
+// Tests d'intégration contre l'émulateur Firestore : `npm run test:integration`
+const assert = require('assert');
+const sinon = require('sinon');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-prescription-manager';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const test = require('firebase-functions-test')({ projectId: PROJECT_ID });
+
+// Les SMS passent par le fournisseur "outbox" (en mémoire) au lieu de Twilio
+test.mockConfig({ sms: { providers: 'outbox' } });
+
+const admin = require('firebase-admin');
+const myFunctions = require('../../index');
+const { getLocalDate } = require('../../src/facility-time');
+const { OutboxProvider } = require('../../src/sms-providers');
+
+const sentSMS = OutboxProvider.messages;
+
+describe('checkMedicationExpirations (emulator)', function () {
+    const db = admin.firestore();
+    const today = getLocalDate();
+    let multicast;
+    let messagingStub;
+    let runCount = 0;
+
+    function runCheck() {
+        runCount++;
+        return test.wrap(myFunctions.checkMedicationExpirations)({}, { eventId: `run-${runCount}` });
+    }
+
+    // Faux FCM : chaque token est accepté sauf ceux préfixés par "invalid"
+    async function fakeMulticast(message) {
+        const responses = message.tokens.map(token => token.startsWith('invalid')
+            ? { success: false, error: { code: 'messaging/registration-token-not-registered' } }
+            : { success: true, messageId: `msg-${token}` });
+        return {
+            successCount: responses.filter(r => r.success).length,
+            failureCount: responses.filter(r => !r.success).length,
+            responses
+        };
+    }
+
+    async function clearEmulators() {
+        const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+        await fetch(`http://${firestoreHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+
+        const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+        await fetch(`http://${authHost}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    }
+
+    // Compte Auth (l'appartenance à une organisation vient du claim) et profil users/{uid}
+    async function createUser(uid, profile, claims = null) {
+        await admin.auth().createUser({ uid });
+        if (claims) {
+            await admin.auth().setCustomUserClaims(uid, claims);
+        }
+        await db.collection('users').doc(uid).set(profile);
+    }
+
+    async function seed() {
+        await db.collection('ordonnances').doc('ord1').set({ patientName: 'Jean Dupont', createdBy: 'uid1' });
+        await db.collection('medicaments').doc('expired').set({
+            ordonnanceId: 'ord1', name: 'Doliprane', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() - 2 * DAY_MS)
+        });
+        await db.collection('medicaments').doc('critical').set({
+            ordonnanceId: 'ord1', name: 'Amoxicilline', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() + 5 * DAY_MS)
+        });
+        await db.collection('medicaments').doc('ok').set({
+            ordonnanceId: 'ord1', name: 'Ventoline', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() + 90 * DAY_MS)
+        });
+        await db.collection('medicaments').doc('orphan').set({
+            ordonnanceId: 'missing', name: 'Orphelin', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() - DAY_MS)
+        });
+        await createUser('uid1', { fcmTokens: ['token-a', 'invalid-b'], smsNotificationsEnabled: true, phoneNumber: '+33611111111' });
+        await createUser('uid2', { fcmTokens: [], smsNotificationsEnabled: true, phoneNumber: '+33622222222' });
+    }
+
+    beforeEach(async () => {
+        await clearEmulators();
+        sentSMS.length = 0;
+        multicast = sinon.spy(fakeMulticast);
+        messagingStub = sinon.stub(admin, 'messaging').returns({ sendEachForMulticast: multicast });
+        await seed();
+    });
+
+    afterEach(() => {
+        messagingStub.restore();
+    });
+
+    after(() => {
+        test.cleanup();
+    });
+
+    it('creates alerts and tracking for escalated medicaments only', async () => {
+        await runCheck();
+
+        const alerts = await db.collection('medication_alerts').get();
+        const levels = alerts.docs.map(doc => `${doc.data().medicamentId}:${doc.data().alertLevel}`).sort();
+        assert.deepStrictEqual(levels, ['critical:critical', 'expired:expired']);
+
+        const tracking = await db.collection('medication_tracking').get();
+        assert.deepStrictEqual(tracking.docs.map(doc => doc.id).sort(), ['critical', 'expired']);
+
+        const summary = await db.collection('notification_summaries').doc(`default_${today}`).get();
+        assert.strictEqual(summary.data().newExpiredCount, 1);
+        assert.strictEqual(summary.data().newCriticalCount, 1);
+
+        const run = await db.collection('check_runs').doc(today).get();
+        assert.strictEqual(run.data().state, 'completed');
+    });
+
+    it('pushes to registered tokens, prunes invalid ones and texts unreachable users', async () => {
+        await runCheck();
+
+        assert.strictEqual(multicast.callCount, 1);
+        assert.deepStrictEqual(multicast.firstCall.args[0].tokens, ['token-a', 'invalid-b']);
+
+        const user = await db.collection('users').doc('uid1').get();
+        assert.deepStrictEqual(user.data().fcmTokens, ['token-a']);
+
+        assert.deepStrictEqual(sentSMS.map(sms => sms.to), ['+33622222222']);
+    });
+
+    it('falls back to SMS for every opted-in user when push fails', async () => {
+        messagingStub.returns({
+            sendEachForMulticast: async () => {
+                throw new Error('FCM unavailable');
+            }
+        });
+
+        await runCheck();
+
+        assert.deepStrictEqual(sentSMS.map(sms => sms.to).sort(), ['+33611111111', '+33622222222']);
+    });
+
+    it('keeps each organisation\'s alerts and notifications separate', async () => {
+        await db.collection('ordonnances').doc('ord2').set({ patientName: 'Marie Curie', organizationId: 'ehpad-b' });
+        await db.collection('medicaments').doc('other-org').set({
+            ordonnanceId: 'ord2', name: 'Kardegic', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() - DAY_MS)
+        });
+        await createUser('uid3', { organizationId: 'ehpad-b', fcmTokens: [], smsNotificationsEnabled: true, phoneNumber: '+33633333333' }, { organizationId: 'ehpad-b' });
+
+        await runCheck();
+
+        const otherSummary = await db.collection('notification_summaries').doc(`ehpad-b_${today}`).get();
+        assert.deepStrictEqual(otherSummary.data().newAlerts.map(alert => alert.medicamentId), ['other-org']);
+
+        const defaultSummary = await db.collection('notification_summaries').doc(`default_${today}`).get();
+        assert.ok(!defaultSummary.data().newAlerts.some(alert => alert.medicamentId === 'other-org'));
+
+        assert.deepStrictEqual(sentSMS.map(sms => sms.to).sort(), ['+33622222222', '+33633333333']);
+
+        const stats = await db.collection('daily_stats').doc(`ehpad-b_${today}`).get();
+        assert.strictEqual(stats.data().newExpired, 1);
+    });
+
+    it('resumes an interrupted run without notifying organisations already served', async () => {
+        await db.collection('ordonnances').doc('ord2').set({ patientName: 'Marie Curie', organizationId: 'ehpad-b' });
+        await db.collection('medicaments').doc('other-org').set({
+            ordonnanceId: 'ord2', name: 'Kardegic', expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() - DAY_MS)
+        });
+        await createUser('uid3', { organizationId: 'ehpad-b', fcmTokens: [], smsNotificationsEnabled: true, phoneNumber: '+33633333333' }, { organizationId: 'ehpad-b' });
+
+        await runCheck();
+
+        // Simuler un arrêt après la notification de la seule organisation par défaut
+        const run = (await db.collection('check_runs').doc(today).get()).data();
+        await db.collection('check_runs').doc(today).update({
+            state: 'alerts_written',
+            notifications: { default: run.notifications.default },
+            leaseOwner: null,
+            leaseExpiresAt: null
+        });
+        sentSMS.length = 0;
+
+        await runCheck();
+
+        assert.strictEqual(multicast.callCount, 1);
+        assert.deepStrictEqual(sentSMS.map(sms => sms.to), ['+33633333333']);
+
+        const resumed = await db.collection('check_runs').doc(today).get();
+        assert.strictEqual(resumed.data().state, 'completed');
+        assert.deepStrictEqual(Object.keys(resumed.data().notifications).sort(), ['default', 'ehpad-b']);
+    });
+
+    it('only notifies users about the alert levels they chose', async () => {
+        await db.collection('notification_preferences').doc('uid1').set({ alertLevels: ['warning'] });
+
+        await runCheck();
+
+        assert.strictEqual(multicast.callCount, 0);
+        assert.deepStrictEqual(sentSMS.map(sms => sms.to), ['+33622222222']);
+    });
+
+    it('does not alert or notify twice on a second run the same day', async () => {
+        await runCheck();
+        await runCheck();
+
+        const alerts = await db.collection('medication_alerts').get();
+        assert.strictEqual(alerts.size, 2);
+        assert.strictEqual(multicast.callCount, 1);
+    });
+
+    it('only alerts again when the status gets worse', async () => {
+        await runCheck();
+        await db.collection('check_runs').doc(today).delete();
+        await db.collection('medicaments').doc('critical').update({
+            expirationDate: admin.firestore.Timestamp.fromMillis(Date.now() - DAY_MS)
+        });
+
+        await runCheck();
+
+        const alerts = await db.collection('medication_alerts').where('medicamentId', '==', 'critical').get();
+        assert.deepStrictEqual(alerts.docs.map(doc => doc.data().alertLevel).sort(), ['critical', 'expired']);
+    });
+});
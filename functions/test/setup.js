@@ -0,0 +1,6 @@
+const admin = require('firebase-admin');
+
+// Les services instancient admin.firestore() : une app sans identifiants suffit hors émulateur
+if (admin.apps.length === 0) {
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-prescription-manager' });
+}
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { AlertActionService } = require('../../src/alert-action-service');
+
+// Base Firestore simulée : une alerte, transactions appliquées immédiatement
+function fakeDb(alertData) {
+    const updates = [];
+    const db = {
+        collection: () => ({ doc: id => ({ id }) }),
+        runTransaction: async handler => handler({
+            get: async () => ({ exists: !!alertData, data: () => alertData }),
+            update: (ref, fields) => updates.push(fields)
+        })
+    };
+    return { db, updates };
+}
+
+describe('AlertActionService', () => {
+    const activeAlert = { medicamentId: 'med1', alertLevel: 'expired', alertDate: '2025-06-19', status: 'active', organizationId: 'ehpad-a' };
+
+    it('validates snooze durations and acknowledgement actions', () => {
+        const service = new AlertActionService();
+
+        assert.deepStrictEqual(service.validateSnooze(3), []);
+        assert.strictEqual(service.validateSnooze(0).length, 1);
+        assert.strictEqual(service.validateSnooze(1.5).length, 1);
+        assert.deepStrictEqual(service.validateAcknowledgement('disposed', 'Retourné à la pharmacie'), []);
+        assert.deepStrictEqual(service.validateAcknowledgement('lost', 42), [
+            'action must be one of: disposed, reordered, replaced',
+            'note must be a string of at most 500 characters'
+        ]);
+    });
+
+    it('stores the snooze on the caller user state', async () => {
+        const service = new AlertActionService();
+        const { db, updates } = fakeDb(activeAlert);
+        service.db = db;
+        const now = new Date('2025-06-20T08:00:00Z').getTime();
+
+        const { snoozedUntil } = await service.snooze('a1', 'u1', 'ehpad-a', 3, now);
+
+        assert.strictEqual(snoozedUntil.toDate().toISOString(), '2025-06-23T08:00:00.000Z');
+        assert.ok(updates[0]['userStates.u1.snoozedUntil'].isEqual(snoozedUntil));
+    });
+
+    it('records the action and resolves the alert', async () => {
+        const service = new AlertActionService();
+        const { db, updates } = fakeDb(activeAlert);
+        service.db = db;
+
+        const acknowledgement = await service.acknowledge('a1', 'u1', 'ehpad-a', { action: 'reordered' });
+
+        assert.strictEqual(acknowledgement.action, 'reordered');
+        assert.strictEqual(acknowledgement.acknowledgedBy, 'u1');
+        assert.strictEqual(updates[0].status, 'resolved');
+        assert.strictEqual(updates[0].resolutionReason, 'action_taken');
+        assert.strictEqual(updates[0].acknowledgement, acknowledgement);
+    });
+
+    it('hides alerts of other organizations and refuses resolved alerts', async () => {
+        const service = new AlertActionService();
+
+        service.db = fakeDb(activeAlert).db;
+        await assert.rejects(service.acknowledge('a1', 'u1', 'ehpad-b', { action: 'disposed' }), { code: 'NOT_FOUND' });
+
+        service.db = fakeDb({ ...activeAlert, status: 'resolved' }).db;
+        await assert.rejects(service.snooze('a1', 'u1', 'ehpad-a', 2), { code: 'ALREADY_RESOLVED' });
+    });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const { AuditService, diffDocuments } = require('../../src/audit-service');
+
+describe('AuditService', () => {
+    const service = new AuditService();
+
+    describe('diffDocuments', () => {
+        it('lists changed, added and removed fields', () => {
+            const changes = diffDocuments(
+                { patientName: 'Jean Dupont', notes: 'x', updatedAt: 1 },
+                { patientName: 'Jean Durand', doctor: 'Dr House', updatedAt: 2 }
+            );
+
+            assert.deepStrictEqual(changes, {
+                patientName: { before: 'Jean Dupont', after: 'Jean Durand' },
+                notes: { before: 'x', after: null },
+                doctor: { before: null, after: 'Dr House' }
+            });
+        });
+
+        it('compares Firestore timestamps by value', () => {
+            const date = new Date('2025-07-01T00:00:00Z');
+            const changes = diffDocuments(
+                { expirationDate: admin.firestore.Timestamp.fromDate(date) },
+                { expirationDate: admin.firestore.Timestamp.fromDate(new Date(date)) }
+            );
+            assert.deepStrictEqual(changes, {});
+        });
+    });
+
+    describe('buildEntry', () => {
+        it('attributes creations and updates to updatedBy, then createdBy', () => {
+            const created = service.buildEntry('ordonnance', 'ord1', null, { patientName: 'Jean', createdBy: 'uid1' }, 'default');
+            assert.strictEqual(created.action, 'create');
+            assert.strictEqual(created.actor, 'uid1');
+
+            const updated = service.buildEntry('ordonnance', 'ord1',
+                { patientName: 'Jean', createdBy: 'uid1' },
+                { patientName: 'Jeanne', createdBy: 'uid1', updatedBy: 'uid2' },
+                'default');
+            assert.strictEqual(updated.action, 'update');
+            assert.strictEqual(updated.actor, 'uid2');
+        });
+
+        it('records deletions without an actor', () => {
+            const deleted = service.buildEntry('medicament', 'med1', { name: 'Doliprane', updatedBy: 'uid2' }, null, 'ehpad-b');
+            assert.strictEqual(deleted.action, 'delete');
+            assert.strictEqual(deleted.actor, null);
+            assert.strictEqual(deleted.organizationId, 'ehpad-b');
+        });
+
+        it('skips writes that only touch ignored fields', () => {
+            assert.strictEqual(service.buildEntry('medicament', 'med1', { name: 'A', updatedAt: 1 }, { name: 'A', updatedAt: 2 }, 'default'), null);
+        });
+    });
+});
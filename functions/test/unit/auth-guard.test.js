@@ -0,0 +1,51 @@
+const assert = require('assert');
+const functions = require('firebase-functions/v1');
+const { authorize, getRole, hasRole } = require('../../src/auth-guard');
+
+describe('auth-guard', () => {
+    const asRole = role => ({ auth: { uid: 'uid1', token: role ? { role } : {} } });
+    const previousEmulator = process.env.FUNCTIONS_EMULATOR;
+
+    afterEach(() => {
+        if (previousEmulator === undefined) {
+            delete process.env.FUNCTIONS_EMULATOR;
+        } else {
+            process.env.FUNCTIONS_EMULATOR = previousEmulator;
+        }
+    });
+
+    function assertDenied(fn, code) {
+        assert.throws(fn, error => error instanceof functions.https.HttpsError && error.code === code);
+    }
+
+    it('ignores unknown role claims', () => {
+        assert.strictEqual(getRole({ token: { role: 'superuser' } }), null);
+        assert.strictEqual(getRole({ token: { role: 'pharmacist' } }), 'pharmacist');
+    });
+
+    it('orders roles from viewer to admin', () => {
+        assert.strictEqual(hasRole('admin', 'viewer'), true);
+        assert.strictEqual(hasRole('pharmacist', 'pharmacist'), true);
+        assert.strictEqual(hasRole('viewer', 'pharmacist'), false);
+        assert.strictEqual(hasRole(null, 'viewer'), false);
+    });
+
+    it('rejects unauthenticated callers', () => {
+        assertDenied(() => authorize({}), 'unauthenticated');
+    });
+
+    it('requires the minimum role', () => {
+        assert.deepStrictEqual(authorize(asRole('pharmacist'), { role: 'viewer' }), { uid: 'uid1', role: 'pharmacist' });
+        assertDenied(() => authorize(asRole('viewer'), { role: 'admin' }), 'permission-denied');
+        assertDenied(() => authorize(asRole(null), { role: 'viewer' }), 'permission-denied');
+    });
+
+    it('restricts destructive operations to admins outside the emulator', () => {
+        delete process.env.FUNCTIONS_EMULATOR;
+        assertDenied(() => authorize(asRole('pharmacist'), { destructive: true }), 'permission-denied');
+        assert.strictEqual(authorize(asRole('admin'), { destructive: true }).role, 'admin');
+
+        process.env.FUNCTIONS_EMULATOR = 'true';
+        assert.strictEqual(authorize(asRole(null), { destructive: true }).uid, 'uid1');
+    });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const nodemailer = require('nodemailer');
+const admin = require('firebase-admin');
+const { EmailService } = require('../../src/email-service');
+const { NotificationSummary } = require('../../src/models');
+
+function summaryWithAlerts() {
+    const summary = new NotificationSummary('2025-06-20');
+    summary.addAlert({
+        medicamentId: 'med1', ordonnanceId: 'ord1', patientName: 'Marie <Martin>', medicamentName: 'Insuline',
+        expirationDate: admin.firestore.Timestamp.fromDate(new Date('2025-06-18T10:00:00Z')), alertLevel: 'expired'
+    });
+    summary.addAlert({
+        medicamentId: 'med2', ordonnanceId: 'ord2', patientName: 'Jean Dupont', medicamentName: 'Doliprane',
+        expirationDate: '2025-07-01T00:00:00+02:00', alertLevel: 'warning'
+    });
+    summary.addAlert({
+        medicamentId: 'med3', ordonnanceId: 'ord1', patientName: 'Marie <Martin>', medicamentName: 'Collyre',
+        expirationDate: new Date('2025-06-25T10:00:00Z'), alertLevel: 'critical'
+    });
+    return summary;
+}
+
+describe('EmailService', () => {
+    const service = new EmailService(nodemailer.createTransport({ jsonTransport: true }));
+    service.appUrl = 'https://pm.example.com';
+
+    it('groups alerts by patient with dates and app links', () => {
+        const { subject, text } = service.createDailyDigest(summaryWithAlerts());
+
+        assert.strictEqual(subject, 'Prescription Manager - 3 nouvelles alertes du 2025-06-20');
+        assert.strictEqual(text.split('\n').filter(line => line === 'Jean Dupont' || line === 'Marie <Martin>').length, 2);
+        assert.ok(text.indexOf('Jean Dupont') < text.indexOf('Marie <Martin>'));
+        assert.ok(text.includes('Insuline : 🚨 Expiré, expire le 18/06/2025'));
+        assert.ok(text.includes('https://pm.example.com/ordonnances/ord1/medicaments/med1'));
+        assert.ok(text.includes('Doliprane : 🟡 En alerte, expire le 01/07/2025'));
+    });
+
+    it('escapes patient names in the HTML version', () => {
+        const { html } = service.createDailyDigest(summaryWithAlerts());
+
+        assert.ok(html.includes('<h3>Marie &lt;Martin&gt;</h3>'));
+        assert.ok(!html.includes('<Martin>'));
+    });
+
+    it('omits app links when app.url is not configured', () => {
+        const unlinked = new EmailService(nodemailer.createTransport({ jsonTransport: true }));
+        const { text, html } = unlinked.createDailyDigest(summaryWithAlerts());
+
+        assert.strictEqual(unlinked.appUrl, null);
+        assert.ok(!text.includes('http'));
+        assert.ok(!html.includes('<a '));
+        assert.ok(text.includes('Insuline : 🚨 Expiré, expire le 18/06/2025'));
+    });
+
+    it('sends emails through the transport', async () => {
+        const digest = service.createDailyDigest(summaryWithAlerts());
+        const result = await service.sendEmail('a@example.com', digest.subject, digest.html, digest.text);
+
+        assert.strictEqual(result.success, true);
+    });
+
+    it('is disabled without a transport', async () => {
+        const disabled = new EmailService();
+        const result = await disabled.sendEmail('a@example.com', 'Sujet', '<p>Corps</p>', 'Corps');
+
+        assert.strictEqual(disabled.isEnabled, false);
+        assert.strictEqual(result.success, false);
+    });
+});
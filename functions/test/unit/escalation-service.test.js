@@ -0,0 +1,105 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const admin = require('firebase-admin');
+const { EscalationService, DEFAULT_ESCALATION, isAcknowledged } = require('../../src/escalation-service');
+const { MedicationAlert } = require('../../src/models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-06-20T12:00:00Z').getTime();
+
+function alertRaisedHoursAgo(hours, alertLevel = 'expired') {
+    const alert = new MedicationAlert('med1', 'ord1', 'Dupont, Jean', 'Doliprane', '2025-06-19', alertLevel, '2025-06-19');
+    alert.createdAt = admin.firestore.Timestamp.fromMillis(now - hours * HOUR_MS);
+    return alert;
+}
+
+describe('EscalationService', () => {
+    const service = new EscalationService();
+    const settings = { reminderHours: 4, supervisorHours: 24 };
+
+    describe('getDueStep', () => {
+        it('waits for the reminder delay', () => {
+            assert.strictEqual(service.getDueStep(alertRaisedHoursAgo(3), settings, now), null);
+            assert.strictEqual(service.getDueStep(alertRaisedHoursAgo(4), settings, now), 'reminder');
+        });
+
+        it('escalates to the supervisor after the reminder and the longer delay', () => {
+            const alert = alertRaisedHoursAgo(30);
+            assert.strictEqual(service.getDueStep(alert, settings, now), 'reminder');
+
+            alert.escalationSteps = [{ step: 'reminder' }];
+            assert.strictEqual(service.getDueStep(alert, settings, now), 'supervisor');
+
+            alert.escalationSteps.push({ step: 'supervisor' });
+            assert.strictEqual(service.getDueStep(alert, settings, now), null);
+        });
+
+        it('stops once someone has read the alert', () => {
+            const alert = alertRaisedHoursAgo(30);
+            alert.userStates = { u1: { isRead: false }, u2: { isRead: true } };
+
+            assert.strictEqual(isAcknowledged(alert), true);
+            assert.strictEqual(service.getDueStep(alert, settings, now), null);
+        });
+
+        it('stops once the alert is snoozed or acknowledged', () => {
+            const snoozed = alertRaisedHoursAgo(30);
+            snoozed.userStates = { u1: { snoozedUntil: admin.firestore.Timestamp.fromMillis(now + HOUR_MS) } };
+            assert.strictEqual(service.getDueStep(snoozed, settings, now), null);
+
+            const acknowledged = alertRaisedHoursAgo(30);
+            acknowledged.acknowledgement = { action: 'disposed' };
+            assert.strictEqual(isAcknowledged(acknowledged), true);
+        });
+
+        it('resumes once the snooze has expired', () => {
+            const alert = alertRaisedHoursAgo(30);
+            alert.userStates = { u1: { snoozedUntil: admin.firestore.Timestamp.fromMillis(now - HOUR_MS) } };
+
+            assert.strictEqual(isAcknowledged(alert, now), false);
+            assert.strictEqual(service.getDueStep(alert, settings, now), 'reminder');
+        });
+
+        it('ignores warnings and resolved alerts', () => {
+            assert.strictEqual(service.getDueStep(alertRaisedHoursAgo(30, 'warning'), settings, now), null);
+
+            const resolved = alertRaisedHoursAgo(30);
+            resolved.status = 'resolved';
+            assert.strictEqual(service.getDueStep(resolved, settings, now), null);
+        });
+    });
+
+    describe('mergeSettings', () => {
+        it('applies valid delays', () => {
+            assert.deepStrictEqual(service.mergeSettings(DEFAULT_ESCALATION, { reminderHours: 2, supervisorHours: 12 }), { reminderHours: 2, supervisorHours: 12 });
+        });
+
+        it('ignores invalid delays', () => {
+            assert.deepStrictEqual(service.mergeSettings(DEFAULT_ESCALATION, { reminderHours: -1 }), DEFAULT_ESCALATION);
+        });
+
+        it('keeps the defaults when the supervisor would be warned before the reminder', () => {
+            assert.deepStrictEqual(service.mergeSettings(DEFAULT_ESCALATION, { reminderHours: 48 }), DEFAULT_ESCALATION);
+        });
+    });
+
+    describe('getSupervisors', () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('only trusts the escalationSupervisor claim, not the editable profile flag', async () => {
+            sinon.stub(service.organizationService, 'getMemberRecords').resolves([
+                { uid: 'uid1', customClaims: { escalationSupervisor: true } },
+                { uid: 'uid2', customClaims: { role: 'pharmacist' } },
+                { uid: 'uid3' }
+            ]);
+            const getProfiles = sinon.stub(service.organizationService, 'getProfiles').resolves([]);
+
+            await service.getSupervisors('ehpad-b');
+
+            assert.deepStrictEqual(service.organizationService.getMemberRecords.firstCall.args, ['ehpad-b']);
+            assert.deepStrictEqual(getProfiles.firstCall.args, [['uid1']]);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { getLocalDate, addDays, addMonths, daysBetween, startOfLocalDay, localTimeToDate, getLocalMinutes } = require('../../src/facility-time');
+
+const TZ = 'Europe/Paris';
+
+describe('facility-time', () => {
+    describe('getLocalDate', () => {
+        it('uses the facility calendar day rather than the UTC day', () => {
+            // 00:30 à Paris (UTC+2), encore la veille en UTC
+            assert.strictEqual(getLocalDate(new Date('2025-06-01T22:30:00Z'), TZ), '2025-06-02');
+            assert.strictEqual(getLocalDate(new Date('2025-06-01T21:30:00Z'), TZ), '2025-06-01');
+        });
+
+        it('handles winter offsets', () => {
+            assert.strictEqual(getLocalDate(new Date('2025-01-14T23:30:00Z'), TZ), '2025-01-15');
+        });
+    });
+
+    describe('calendar arithmetic', () => {
+        it('adds days across DST transitions', () => {
+            assert.strictEqual(addDays('2025-03-29', 2), '2025-03-31');
+            assert.strictEqual(addDays('2025-10-25', 2), '2025-10-27');
+            assert.strictEqual(addDays('2025-03-01', -1), '2025-02-28');
+        });
+
+        it('adds months clamping to the end of the month', () => {
+            assert.strictEqual(addMonths('2025-03-31', -1), '2025-02-28');
+            assert.strictEqual(addMonths('2025-08-15', -6), '2025-02-15');
+            assert.strictEqual(addMonths('2024-02-29', -12), '2023-02-28');
+        });
+
+        it('counts calendar days regardless of DST', () => {
+            assert.strictEqual(daysBetween('2025-03-29', '2025-03-31'), 2);
+            assert.strictEqual(daysBetween('2025-10-25', '2025-10-27'), 2);
+            assert.strictEqual(daysBetween('2025-06-02', '2025-06-01'), -1);
+        });
+    });
+
+    describe('startOfLocalDay', () => {
+        it('returns local midnight on regular days', () => {
+            assert.strictEqual(startOfLocalDay('2025-06-01', TZ).toISOString(), '2025-05-31T22:00:00.000Z');
+            assert.strictEqual(startOfLocalDay('2025-01-15', TZ).toISOString(), '2025-01-14T23:00:00.000Z');
+        });
+
+        it('returns local midnight on DST transition days', () => {
+            // Passage à l'heure d'été le 30 mars 2025 à 02:00, à l'heure d'hiver le 26 octobre à 03:00
+            assert.strictEqual(startOfLocalDay('2025-03-30', TZ).toISOString(), '2025-03-29T23:00:00.000Z');
+            assert.strictEqual(startOfLocalDay('2025-03-31', TZ).toISOString(), '2025-03-30T22:00:00.000Z');
+            assert.strictEqual(startOfLocalDay('2025-10-26', TZ).toISOString(), '2025-10-25T22:00:00.000Z');
+            assert.strictEqual(startOfLocalDay('2025-10-27', TZ).toISOString(), '2025-10-26T23:00:00.000Z');
+        });
+    });
+
+    describe('localTimeToDate', () => {
+        it('returns the instant of a local wall-clock time, including after a DST change', () => {
+            assert.strictEqual(localTimeToDate('2025-06-01', 7 * 60 + 30, TZ).toISOString(), '2025-06-01T05:30:00.000Z');
+            assert.strictEqual(localTimeToDate('2025-03-30', 7 * 60, TZ).toISOString(), '2025-03-30T05:00:00.000Z');
+        });
+    });
+
+    describe('getLocalMinutes', () => {
+        it('returns the local time of day in minutes', () => {
+            assert.strictEqual(getLocalMinutes(new Date('2025-06-01T20:15:00Z'), TZ), 22 * 60 + 15);
+            assert.strictEqual(getLocalMinutes(new Date('2025-01-15T23:30:00Z'), TZ), 30);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { logger, traced, getCorrelationId, redact } = require('../../src/logger');
+const { MedicationAlert } = require('../../src/models');
+
+describe('logger', () => {
+    describe('redact', () => {
+        it('masks phone numbers, patient names and emails in fields', () => {
+            const redacted = redact({
+                phoneNumber: '+33611223344',
+                patientName: 'Jean Dupont',
+                nested: { email: 'jean@example.fr', medicamentName: 'Doliprane' }
+            });
+
+            assert.deepStrictEqual(redacted, {
+                phoneNumber: '***44',
+                patientName: '[REDACTED]',
+                nested: { email: '[REDACTED]', medicamentName: 'Doliprane' }
+            });
+        });
+
+        it('masks phone numbers and email addresses inside free text but keeps dates', () => {
+            assert.strictEqual(redact('Invalid phone number format: +33611223344'), 'Invalid phone number format: ***44');
+            assert.strictEqual(redact('Appeler le 06 11 22 33 44'), 'Appeler le ***44');
+            assert.strictEqual(redact('Check completed for 2025-06-20'), 'Check completed for 2025-06-20');
+            assert.strictEqual(redact('550 Mailbox unavailable: jean.dupont@ehpad.fr'), '550 Mailbox unavailable: [REDACTED]');
+        });
+
+        it('serializes errors', () => {
+            const error = new Error('SMS to +33611223344 failed');
+            error.code = 21211;
+            const redacted = redact(error);
+
+            assert.strictEqual(redacted.message, 'SMS to ***44 failed');
+            assert.strictEqual(redacted.code, 21211);
+        });
+    });
+
+    describe('traced', () => {
+        let stdout;
+
+        beforeEach(() => {
+            stdout = sinon.stub(process.stdout, 'write');
+        });
+
+        afterEach(() => {
+            stdout.restore();
+        });
+
+        it('shares the event id as correlation id across the invocation', async () => {
+            const handler = traced('checkMedicationExpirations', async () => {
+                await Promise.resolve();
+                logger.info('Check completed', { phoneNumber: '+33611223344' });
+                return { correlationId: getCorrelationId(), alert: new MedicationAlert('med1', 'ord1', 'Jean', 'Doliprane', null, 'expired', '2025-06-20') };
+            });
+
+            const result = await handler({}, { eventId: 'event-1' });
+            stdout.restore();
+
+            assert.strictEqual(result.correlationId, 'event-1');
+            assert.strictEqual(result.alert.toFirestore().correlationId, 'event-1');
+
+            const entry = JSON.parse(stdout.firstCall.args[0]);
+            assert.strictEqual(entry.severity, 'INFO');
+            assert.strictEqual(entry.functionName, 'checkMedicationExpirations');
+            assert.strictEqual(entry.correlationId, 'event-1');
+            assert.strictEqual(entry.phoneNumber, '***44');
+        });
+
+        it('generates a correlation id for callables', async () => {
+            const handler = traced('getNotificationStats', async () => getCorrelationId());
+            const correlationId = await handler({}, { auth: { uid: 'uid1' } });
+
+            assert.ok(correlationId);
+            assert.strictEqual(getCorrelationId(), null);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const { getMedicationStatus, evaluateMedicament, getAlertId } = require('../../src/medication-status');
+const { MedicationTracking } = require('../../src/models');
+const { getLocalDate } = require('../../src/facility-time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T08:00:00Z');
+
+function inDays(days) {
+    return new Date(NOW.getTime() + days * DAY_MS);
+}
+
+describe('getMedicationStatus', () => {
+    describe('date formats', () => {
+        const expiration = inDays(10);
+
+        it('accepts a Firestore Timestamp', () => {
+            assert.strictEqual(getMedicationStatus(admin.firestore.Timestamp.fromDate(expiration), undefined, NOW), 'critical');
+        });
+
+        it('accepts a Date', () => {
+            assert.strictEqual(getMedicationStatus(expiration, undefined, NOW), 'critical');
+        });
+
+        it('accepts an ISO string', () => {
+            assert.strictEqual(getMedicationStatus(expiration.toISOString(), undefined, NOW), 'critical');
+        });
+
+        it('accepts a serialized timestamp with _seconds', () => {
+            assert.strictEqual(getMedicationStatus({ _seconds: Math.floor(expiration.getTime() / 1000) }, undefined, NOW), 'critical');
+        });
+
+        it('returns unknown for unsupported or invalid values', () => {
+            assert.strictEqual(getMedicationStatus(null, undefined, NOW), 'unknown');
+            assert.strictEqual(getMedicationStatus(12345, undefined, NOW), 'unknown');
+            assert.strictEqual(getMedicationStatus('not a date', undefined, NOW), 'unknown');
+        });
+    });
+
+    describe('boundary days', () => {
+        it('is expired one day after the expiration date', () => {
+            assert.strictEqual(getMedicationStatus(inDays(-1), undefined, NOW), 'expired');
+        });
+
+        it('is critical on the expiration day', () => {
+            assert.strictEqual(getMedicationStatus(inDays(0), undefined, NOW), 'critical');
+        });
+
+        it('is critical up to 14 days', () => {
+            assert.strictEqual(getMedicationStatus(inDays(14), undefined, NOW), 'critical');
+        });
+
+        it('is warning from 15 to 30 days', () => {
+            assert.strictEqual(getMedicationStatus(inDays(15), undefined, NOW), 'warning');
+            assert.strictEqual(getMedicationStatus(inDays(30), undefined, NOW), 'warning');
+        });
+
+        it('is ok after 30 days', () => {
+            assert.strictEqual(getMedicationStatus(inDays(31), undefined, NOW), 'ok');
+        });
+
+        it('counts calendar days in the facility timezone around midnight', () => {
+            // 00:30 à Paris le 2 juin : un médicament expirant le 1er juin est expiré
+            const justAfterMidnight = new Date('2025-06-01T22:30:00Z');
+            assert.strictEqual(getMedicationStatus('2025-06-01T12:00:00+02:00', undefined, justAfterMidnight), 'expired');
+            assert.strictEqual(getMedicationStatus('2025-06-02T23:00:00+02:00', undefined, justAfterMidnight), 'critical');
+        });
+
+        it('is not shifted by the spring DST change', () => {
+            // Le 31 mars 2025 à 00:00 (Paris) est à 30 jours calendaires du 1er mars, malgré la journée de 23h
+            const morning = new Date('2025-03-01T07:00:00Z');
+            assert.strictEqual(getMedicationStatus('2025-03-31T00:00:00+02:00', undefined, morning), 'warning');
+            assert.strictEqual(getMedicationStatus('2025-04-01T00:00:00+02:00', undefined, morning), 'ok');
+        });
+
+        it('is not shifted by the autumn DST change', () => {
+            // Journée de 25h le 26 octobre 2025 : 23:30 le 25 (Paris) reste à 14 jours du 8 novembre
+            const lateEvening = new Date('2025-10-25T21:30:00Z');
+            assert.strictEqual(getMedicationStatus('2025-11-08T23:59:00+01:00', undefined, lateEvening), 'critical');
+            assert.strictEqual(getMedicationStatus('2025-11-09T00:00:00+01:00', undefined, lateEvening), 'warning');
+        });
+
+        it('applies custom thresholds', () => {
+            const thresholds = { criticalDays: 30, warningDays: 90 };
+            assert.strictEqual(getMedicationStatus(inDays(30), thresholds, NOW), 'critical');
+            assert.strictEqual(getMedicationStatus(inDays(90), thresholds, NOW), 'warning');
+            assert.strictEqual(getMedicationStatus(inDays(91), thresholds, NOW), 'ok');
+        });
+    });
+});
+
+describe('evaluateMedicament', () => {
+    const today = getLocalDate();
+    const ordonnance = { id: 'ord1', patientName: 'Jean Dupont' };
+
+    function medicamentExpiringIn(days) {
+        return {
+            id: 'med1',
+            ordonnanceId: 'ord1',
+            name: 'Doliprane',
+            expirationDate: new Date(Date.now() + days * DAY_MS)
+        };
+    }
+
+    function evaluate(days, existingTrack = null, source = 'scheduler') {
+        return evaluateMedicament({
+            medicament: medicamentExpiringIn(days),
+            ordonnance,
+            thresholds: { criticalDays: 14, warningDays: 30, source: 'default' },
+            existingTrack,
+            today,
+            source
+        });
+    }
+
+    it('ignores ok medicaments without tracking', () => {
+        const result = evaluate(60);
+        assert.strictEqual(result.currentStatus, 'ok');
+        assert.strictEqual(result.tracking, null);
+        assert.strictEqual(result.alert, null);
+    });
+
+    it('creates an alert on first escalation', () => {
+        const result = evaluate(20);
+        assert.strictEqual(result.isNewAlert, true);
+        assert.strictEqual(result.alert.alertLevel, 'warning');
+        assert.strictEqual(result.alertId, getAlertId('med1', today, 'warning'));
+        assert.strictEqual(result.tracking.lastStatus, 'warning');
+        assert.strictEqual(result.tracking.statusHistory[0].source, 'scheduler');
+    });
+
+    it('does not alert again for an unchanged status', () => {
+        const track = new MedicationTracking('med1', 'warning', '2025-01-01');
+        const result = evaluate(20, track);
+        assert.strictEqual(result.isNewAlert, false);
+        assert.strictEqual(result.alert, null);
+    });
+
+    it('alerts when the status gets worse', () => {
+        const track = new MedicationTracking('med1', 'warning', '2025-01-01');
+        const result = evaluate(-2, track);
+        assert.strictEqual(result.isNewAlert, true);
+        assert.strictEqual(result.alert.alertLevel, 'expired');
+    });
+
+    it('de-escalates tracking when the status improves', () => {
+        const track = new MedicationTracking('med1', 'expired', '2025-01-01');
+        const result = evaluate(60, track);
+        assert.strictEqual(result.isImproved, true);
+        assert.strictEqual(result.isNewAlert, false);
+        assert.strictEqual(result.tracking.lastStatus, 'ok');
+    });
+
+    it('flags an escalated medicament whose date became unreadable so its alerts get resolved', () => {
+        const track = new MedicationTracking('med1', 'critical', '2025-01-01');
+        const result = evaluateMedicament({
+            medicament: { ...medicamentExpiringIn(5), expirationDate: 'not a date' },
+            ordonnance,
+            thresholds: { criticalDays: 14, warningDays: 30, source: 'default' },
+            existingTrack: track,
+            today,
+            source: 'scheduler'
+        });
+
+        assert.strictEqual(result.currentStatus, 'unknown');
+        assert.strictEqual(result.isUnknown, true);
+        assert.strictEqual(result.alert, null);
+        assert.strictEqual(result.tracking.lastStatus, 'ok');
+    });
+
+    it('rebuilds the alert of an escalation already recorded today by the same source', () => {
+        const track = new MedicationTracking('med1', 'critical', today);
+        track.addStatusChange(today, 'critical', 'scheduler');
+
+        const resumed = evaluate(5, track, 'scheduler');
+        assert.strictEqual(resumed.isNewAlert, false);
+        assert.strictEqual(resumed.alreadyAlertedToday, true);
+        assert.strictEqual(resumed.alert.alertLevel, 'critical');
+    });
+
+    it('does not rebuild an alert already raised today by a trigger', () => {
+        const track = new MedicationTracking('med1', 'critical', today);
+        track.addStatusChange(today, 'critical', 'trigger');
+
+        const result = evaluate(5, track, 'scheduler');
+        assert.strictEqual(result.alreadyAlertedToday, false);
+        assert.strictEqual(result.alert, null);
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const { MedicationAlert, MedicationTracking, NotificationSummary } = require('../../src/models');
+
+describe('models', () => {
+    describe('MedicationAlert', () => {
+        it('round-trips through Firestore data', () => {
+            const expiration = admin.firestore.Timestamp.fromDate(new Date('2025-07-01T00:00:00Z'));
+            const alert = new MedicationAlert('med1', 'ord1', 'Jean Dupont', 'Doliprane', expiration, 'critical', '2025-06-20',
+                { criticalDays: 14, warningDays: 30, source: 'global' });
+            alert.userStates = { uid1: { isRead: true } };
+
+            const restored = MedicationAlert.fromFirestore(alert.toFirestore());
+
+            assert.deepStrictEqual(restored.toFirestore(), alert.toFirestore());
+            assert.strictEqual(restored.isActive(), true);
+        });
+
+        it('defaults legacy documents to active without thresholds', () => {
+            const restored = MedicationAlert.fromFirestore({
+                medicamentId: 'med1',
+                alertLevel: 'warning',
+                alertDate: '2025-06-20'
+            });
+
+            assert.strictEqual(restored.status, 'active');
+            assert.strictEqual(restored.thresholds, null);
+            assert.deepStrictEqual(restored.userStates, {});
+            assert.strictEqual(restored.organizationId, 'default');
+            assert.deepStrictEqual(restored.escalationSteps, []);
+            assert.strictEqual(restored.escalationLevel, null);
+            assert.strictEqual(restored.acknowledgement, null);
+        });
+    });
+
+    describe('MedicationTracking', () => {
+        it('round-trips through Firestore data', () => {
+            const tracking = new MedicationTracking('med1', 'warning', '2025-06-20');
+            tracking.addStatusChange('2025-06-20', 'warning');
+
+            const restored = MedicationTracking.fromFirestore(tracking.toFirestore());
+
+            assert.deepStrictEqual(restored.toFirestore(), tracking.toFirestore());
+        });
+
+        it('keeps only the 30 most recent status changes', () => {
+            const tracking = new MedicationTracking('med1', 'warning', '2025-06-20');
+            for (let i = 0; i < 35; i++) {
+                tracking.addStatusChange(`2025-06-${i}`, 'warning');
+            }
+
+            assert.strictEqual(tracking.statusHistory.length, 30);
+            assert.strictEqual(tracking.statusHistory[0].date, '2025-06-34');
+        });
+    });
+
+    describe('NotificationSummary', () => {
+        it('counts alerts per level', () => {
+            const summary = new NotificationSummary('2025-06-20');
+            summary.addAlert({ medicamentId: 'a', alertLevel: 'warning' });
+            summary.addAlert({ medicamentId: 'b', alertLevel: 'critical' });
+            summary.addAlert({ medicamentId: 'c', alertLevel: 'expired' });
+            summary.addAlert({ medicamentId: 'd', alertLevel: 'expired' });
+
+            assert.strictEqual(summary.newWarningCount, 1);
+            assert.strictEqual(summary.newCriticalCount, 1);
+            assert.strictEqual(summary.newExpiredCount, 2);
+            assert.strictEqual(summary.hasNewAlerts(), true);
+        });
+
+        it('round-trips through Firestore data', () => {
+            const summary = new NotificationSummary('2025-06-20', 'realtime', 'med1_2025-06-20_expired', 'ehpad-b');
+            summary.addAlert({ medicamentId: 'med1', ordonnanceId: 'ord1', patientName: 'Jean', medicamentName: 'Doliprane', alertLevel: 'expired' });
+
+            const restored = NotificationSummary.fromFirestore(summary.toFirestore(), summary.id);
+
+            assert.deepStrictEqual(restored, summary);
+        });
+
+        it('keeps the alert id of each alert, including when copied to another summary', () => {
+            const summary = new NotificationSummary('2025-06-20');
+            summary.addAlert({ medicamentId: 'med1', alertLevel: 'expired' }, 'med1_2025-06-20_expired');
+            summary.addAlert({ medicamentId: 'med2', alertLevel: 'warning' });
+
+            const copy = new NotificationSummary('2025-06-20');
+            summary.newAlerts.forEach(alert => copy.addAlert(alert));
+
+            assert.deepStrictEqual(copy.newAlerts.map(alert => alert.alertId), ['med1_2025-06-20_expired', null]);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const { MonitoringService, computeChannelMetrics, computeReadMetrics } = require('../../src/monitoring-service');
+
+const at = iso => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+describe('MonitoringService metrics', () => {
+    describe('computeChannelMetrics', () => {
+        const runStartedAt = new Date('2025-06-20T06:00:00Z').getTime();
+        const logs = [
+            { type: 'push', status: 'success', timestamp: at('2025-06-20T06:00:30Z'), details: { summaryType: 'daily' } },
+            { type: 'push', status: 'success', timestamp: at('2025-06-20T06:01:30Z'), details: { summaryType: 'daily' } },
+            { type: 'push', status: 'success', timestamp: at('2025-06-20T14:00:00Z'), details: { summaryType: 'realtime' } },
+            { type: 'push', status: 'failed', timestamp: at('2025-06-20T06:00:40Z'), details: { summaryType: 'daily' } },
+            { type: 'sms', status: 'failed', timestamp: at('2025-06-20T06:00:50Z'), details: { summaryType: 'daily' } },
+            { type: 'push', status: 'pending', timestamp: at('2025-06-20T06:00:10Z'), details: {} },
+            { type: 'system', status: 'failed', timestamp: at('2025-06-20T06:00:10Z'), details: {} }
+        ];
+
+        it('counts successes and failures per channel', () => {
+            const metrics = computeChannelMetrics(logs, runStartedAt);
+
+            assert.strictEqual(metrics.channels.push.success, 3);
+            assert.strictEqual(metrics.channels.push.failed, 1);
+            assert.strictEqual(metrics.channels.push.successRate, 0.75);
+            assert.strictEqual(metrics.channels.sms.successRate, 0);
+            assert.strictEqual(metrics.channels.email.successRate, null);
+            assert.strictEqual(metrics.failureRate, 2 / 5);
+        });
+
+        it('measures latency from the check start for daily deliveries only', () => {
+            const metrics = computeChannelMetrics(logs, runStartedAt);
+            assert.deepStrictEqual(metrics.channels.push.latencyMs, { avg: 60000, p95: 90000, max: 90000 });
+            assert.strictEqual(metrics.channels.sms.latencyMs, null);
+        });
+    });
+
+    describe('computeReadMetrics', () => {
+        it('counts alerts read by someone within 24 hours', () => {
+            const metrics = computeReadMetrics([
+                { createdAt: at('2025-06-20T06:00:00Z'), userStates: { uid1: { isRead: true, readAt: at('2025-06-20T09:00:00Z') } } },
+                { createdAt: at('2025-06-20T06:00:00Z'), userStates: { uid1: { isRead: true, readAt: at('2025-06-22T09:00:00Z') } } },
+                { createdAt: at('2025-06-20T06:00:00Z'), userStates: { uid1: { isRead: false } } }
+            ]);
+
+            assert.deepStrictEqual(metrics, { alerts: 3, readWithin24h: 1, readWithin24hRate: 1 / 3, reads: 2 });
+        });
+    });
+
+    describe('isFailureRateAnomalous', () => {
+        const service = new MonitoringService();
+
+        it('ignores days with too few attempts', () => {
+            assert.strictEqual(service.isFailureRateAnomalous({ success: 1, failed: 2, failureRate: 2 / 3 }), false);
+        });
+
+        it('flags failure rates above the threshold', () => {
+            assert.strictEqual(service.isFailureRateAnomalous({ success: 7, failed: 3, failureRate: 0.3 }), true);
+            assert.strictEqual(service.isFailureRateAnomalous({ success: 9, failed: 1, failureRate: 0.1 }), false);
+        });
+    });
+});
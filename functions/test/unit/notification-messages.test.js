@@ -0,0 +1,160 @@
+const assert = require('assert');
+const { createNotificationMessage, buildGroupedMessage } = require('../../src/notification-messages');
+const { SMSService } = require('../../src/sms-service');
+const { NotificationSummary } = require('../../src/models');
+const { SUPPORTED_LOCALES, countSmsSegments } = require('../../src/message-templates');
+
+function summaryWith(counts) {
+    const summary = new NotificationSummary('2025-06-20');
+    Object.entries(counts).forEach(([level, count]) => {
+        for (let i = 0; i < count; i++) {
+            summary.addAlert({ medicamentId: `${level}${i}`, alertLevel: level });
+        }
+    });
+    return summary;
+}
+
+describe('notification messages', () => {
+    describe('createNotificationMessage', () => {
+        it('uses the singular for one medicament', () => {
+            const { title, body } = createNotificationMessage(summaryWith({ expired: 1 }));
+            assert.strictEqual(title, 'Prescription Manager');
+            assert.strictEqual(body, '🚨 1 médicament expiré');
+        });
+
+        it('lists levels from most to least severe with plurals', () => {
+            const { body } = createNotificationMessage(summaryWith({ warning: 3, critical: 2, expired: 2 }));
+            assert.strictEqual(body, [
+                '🚨 2 médicaments expirés',
+                '⚠️ 2 médicaments critiques',
+                '🟡 3 médicaments en alerte'
+            ].join('\n'));
+        });
+    });
+
+    describe('buildGroupedMessage', () => {
+        it('carries the counts as string data', () => {
+            const summary = summaryWith({ critical: 2 });
+            const message = buildGroupedMessage(summary, createNotificationMessage(summary));
+
+            assert.strictEqual(message.data.date, '2025-06-20');
+            assert.strictEqual(message.data.newCritical, '2');
+            assert.strictEqual(message.data.newExpired, '0');
+            assert.strictEqual(message.android.notification.channelId, 'medication_alerts');
+            Object.values(message.data).forEach(value => assert.strictEqual(typeof value, 'string'));
+        });
+
+        it('opens the medicament directly when there is a single alert', () => {
+            const summary = new NotificationSummary('2025-06-20', 'realtime', 'med1_2025-06-20_expired');
+            summary.addAlert({ medicamentId: 'med1', ordonnanceId: 'ord1', alertLevel: 'expired' }, 'med1_2025-06-20_expired');
+            const message = buildGroupedMessage(summary, createNotificationMessage(summary));
+
+            assert.strictEqual(message.data.screen, 'medicament');
+            assert.strictEqual(message.data.alertId, 'med1_2025-06-20_expired');
+            assert.strictEqual(message.data.medicamentId, 'med1');
+            assert.strictEqual(message.data.ordonnanceId, 'ord1');
+            assert.strictEqual(message.data.alertCount, '1');
+        });
+
+        it('points several alerts to the persisted summary', () => {
+            const summary = summaryWith({ critical: 2 });
+            const message = buildGroupedMessage(summary, createNotificationMessage(summary));
+
+            assert.strictEqual(message.data.screen, 'notifications');
+            assert.strictEqual(message.data.summaryId, '2025-06-20');
+            assert.strictEqual(message.data.alertCount, '2');
+            assert.strictEqual(message.data.medicamentId, undefined);
+        });
+    });
+
+    describe('locales and formats', () => {
+        it('renders English text with English plural rules', () => {
+            const { title, body } = createNotificationMessage(summaryWith({ expired: 1, warning: 2 }), { locale: 'en' });
+            assert.strictEqual(title, 'Prescription Manager');
+            assert.strictEqual(body, '🚨 1 expired medication\n🟡 2 medications nearing expiry');
+        });
+
+        it('falls back to French for unsupported locales', () => {
+            const { body } = createNotificationMessage(summaryWith({ critical: 1 }), { locale: 'de' });
+            assert.strictEqual(body, '⚠️ 1 médicament critique');
+        });
+
+        it('lists medicaments and patients in the detailed format', () => {
+            const summary = new NotificationSummary('2025-06-20');
+            summary.addAlert({ medicamentId: 'a', medicamentName: 'Sirop', patientName: 'Martin, Paul', alertLevel: 'warning' });
+            summary.addAlert({ medicamentId: 'b', medicamentName: 'Doliprane', patientName: 'Dupont, Jean', alertLevel: 'expired' });
+
+            const { body } = createNotificationMessage(summary, { messageFormat: 'detailed' });
+            assert.strictEqual(body, [
+                '🚨 1 médicament expiré',
+                '🟡 1 médicament en alerte',
+                '• Doliprane - Dupont, Jean (expiré)',
+                '• Sirop - Martin, Paul (en alerte)'
+            ].join('\n'));
+        });
+
+        it('titles escalation reminders', () => {
+            const summary = new NotificationSummary('2025-06-20', 'reminder', 'reminder_a1');
+            summary.addAlert({ medicamentId: 'a', alertLevel: 'expired' });
+
+            assert.strictEqual(createNotificationMessage(summary).title, 'Rappel - Prescription Manager');
+            assert.strictEqual(createNotificationMessage(summary, { locale: 'en' }).title, 'Reminder - Prescription Manager');
+        });
+    });
+
+    describe('SMSService.createMedicationAlertSMS', () => {
+        it('builds the SMS summary', () => {
+            const sms = new SMSService().createMedicationAlertSMS(summaryWith({ expired: 1, warning: 2 }));
+            assert.strictEqual(sms, [
+                'Prescription Manager - Alertes :',
+                '1 médicament expiré',
+                '2 médicaments en alerte',
+                'Consultez l\'app pour plus de détails.'
+            ].join('\n'));
+        });
+
+        it('fits the summary format in a single GSM-7 segment in every locale', () => {
+            const summary = summaryWith({});
+            summary.newExpiredCount = 999;
+            summary.newCriticalCount = 999;
+            summary.newWarningCount = 999;
+
+            SUPPORTED_LOCALES.forEach(locale => {
+                const sms = new SMSService().createMedicationAlertSMS(summary, { locale });
+                assert.deepStrictEqual(countSmsSegments(sms), { encoding: 'GSM-7', length: sms.length, segments: 1 }, locale);
+            });
+        });
+
+        it('caps the detailed listing', () => {
+            const summary = summaryWith({ critical: 5 });
+            summary.newAlerts.forEach((alert, i) => {
+                alert.medicamentName = `Med${i}`;
+                alert.patientName = `Patient ${i}`;
+            });
+
+            const sms = new SMSService().createMedicationAlertSMS(summary, { locale: 'en', messageFormat: 'detailed' });
+            assert.strictEqual(sms, [
+                'Prescription Manager - Alerts:',
+                '5 critical medications',
+                'Med0 - Patient 0 (critical)',
+                'Med1 - Patient 1 (critical)',
+                'Med2 - Patient 2 (critical)',
+                '+2 more',
+                'Open the app for details.'
+            ].join('\n'));
+        });
+    });
+
+    describe('countSmsSegments', () => {
+        it('counts GSM-7 segments and extension characters', () => {
+            assert.deepStrictEqual(countSmsSegments('a'.repeat(160)), { encoding: 'GSM-7', length: 160, segments: 1 });
+            assert.deepStrictEqual(countSmsSegments('a'.repeat(161)), { encoding: 'GSM-7', length: 161, segments: 2 });
+            assert.strictEqual(countSmsSegments('€').length, 2);
+        });
+
+        it('switches to UCS-2 outside the GSM alphabet', () => {
+            assert.deepStrictEqual(countSmsSegments('ç'.repeat(70)), { encoding: 'UCS-2', length: 70, segments: 1 });
+            assert.deepStrictEqual(countSmsSegments('🚨' + 'a'.repeat(69)), { encoding: 'UCS-2', length: 71, segments: 2 });
+        });
+    });
+});
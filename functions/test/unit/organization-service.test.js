@@ -0,0 +1,95 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { OrganizationService, DEFAULT_ORGANIZATION_ID } = require('../../src/organization-service');
+
+// Faux Firestore : profils users/{uid} lus par getAll
+function fakeProfiles(profiles) {
+    return {
+        collection: () => ({ doc: uid => ({ id: uid }) }),
+        getAll: async (...refs) => refs.map(ref => ({
+            id: ref.id,
+            exists: !!profiles[ref.id],
+            data: () => profiles[ref.id]
+        }))
+    };
+}
+
+// Faux Firebase Auth : comptes et claims, listés par pages de deux
+function fakeAuth(users) {
+    return {
+        listUsers: async (maxResults, pageToken) => {
+            const start = pageToken ? Number(pageToken) : 0;
+            const next = start + 2;
+            return { users: users.slice(start, next), pageToken: next < users.length ? String(next) : undefined };
+        },
+        getUser: async (uid) => {
+            const user = users.find(record => record.uid === uid);
+            if (!user) {
+                const error = new Error('There is no user record corresponding to the provided identifier.');
+                error.code = 'auth/user-not-found';
+                throw error;
+            }
+            return user;
+        }
+    };
+}
+
+describe('OrganizationService', () => {
+    const service = new OrganizationService();
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('getCallerOrganizationId', () => {
+        it('uses the organizationId claim', async () => {
+            assert.strictEqual(await service.getCallerOrganizationId({ uid: 'uid1', token: { organizationId: 'ehpad-b' } }), 'ehpad-b');
+        });
+
+        it('falls back to the default organisation without reading the editable profile', async () => {
+            const collection = sinon.spy(service.db, 'collection');
+
+            assert.strictEqual(await service.getCallerOrganizationId({ uid: 'uid1', token: {} }), DEFAULT_ORGANIZATION_ID);
+            assert.strictEqual(collection.called, false);
+        });
+    });
+
+    describe('getUsers', () => {
+        const users = [
+            { uid: 'uid1', customClaims: { organizationId: 'ehpad-b', role: 'pharmacist' } },
+            { uid: 'uid2', customClaims: { role: 'viewer' } },
+            { uid: 'uid3' },
+            { uid: 'uid4', customClaims: { organizationId: 'ehpad-b' } },
+            { uid: 'uid5', customClaims: { organizationId: 'ehpad-b', role: 'admin' } }
+        ];
+        const profiles = {
+            uid1: { organizationId: 'ehpad-b' },
+            uid4: { role: 'admin' }, // copie d'affichage modifiée par l'utilisateur, sans claim
+            uid5: { role: 'viewer' },
+            uid2: { organizationId: 'ehpad-b' }, // profil modifié par l'utilisateur, sans claim
+            uid3: {}
+        };
+
+        beforeEach(() => {
+            sinon.stub(service, 'auth').value(fakeAuth(users));
+            sinon.stub(service, 'db').value(fakeProfiles(profiles));
+        });
+
+        it('selects members from the organizationId claim, not from the editable profile', async () => {
+            assert.deepStrictEqual((await service.getUsers('ehpad-b')).map(doc => doc.id), ['uid1', 'uid4', 'uid5']);
+            assert.deepStrictEqual((await service.getUsers(DEFAULT_ORGANIZATION_ID)).map(doc => doc.id), ['uid2', 'uid3']);
+        });
+
+        it('selects users by their role claim, not by the profile copy', async () => {
+            assert.deepStrictEqual((await service.getUsersWithRole('ehpad-b', ['admin'])).map(doc => doc.id), ['uid5']);
+            assert.deepStrictEqual((await service.getUsersWithRole('ehpad-b', ['admin', 'pharmacist'])).map(doc => doc.id), ['uid1', 'uid5']);
+            assert.deepStrictEqual((await service.getUsersWithRole(null, ['viewer'])).map(doc => doc.id), ['uid2']);
+        });
+
+        it('resolves a single user\'s organisation from the claim', async () => {
+            assert.strictEqual(await service.getMemberOrganizationId('uid2'), DEFAULT_ORGANIZATION_ID);
+            assert.strictEqual(await service.getMemberOrganizationId('uid4'), 'ehpad-b');
+            assert.strictEqual(await service.getMemberOrganizationId('missing'), null);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { PreferencesService, DEFAULT_PREFERENCES } = require('../../src/preferences-service');
+const { NotificationSummary } = require('../../src/models');
+
+describe('PreferencesService', () => {
+    const service = new PreferencesService();
+
+    describe('resolve', () => {
+        it('falls back to the defaults and the profile SMS/email flags', () => {
+            const preferences = service.resolve(null, { smsNotificationsEnabled: true });
+            assert.deepStrictEqual(preferences, {
+                ...DEFAULT_PREFERENCES,
+                channels: { push: true, sms: true, email: false }
+            });
+        });
+
+        it('keeps stored settings and drops unknown alert levels', () => {
+            const preferences = service.resolve({
+                alertLevels: ['critical', 'bogus'],
+                channels: { push: false },
+                quietHours: { start: '22:00', end: '07:00' },
+                deliveryMode: 'digest'
+            }, { emailNotificationsEnabled: true });
+
+            assert.deepStrictEqual(preferences.alertLevels, ['critical']);
+            assert.deepStrictEqual(preferences.channels, { push: false, sms: false, email: true });
+            assert.deepStrictEqual(preferences.quietHours, { start: '22:00', end: '07:00' });
+            assert.strictEqual(preferences.deliveryMode, 'digest');
+        });
+
+        it('keeps supported locales and message formats only', () => {
+            assert.strictEqual(service.resolve({ locale: 'en', messageFormat: 'detailed' }).locale, 'en');
+            assert.strictEqual(service.resolve({ locale: 'en', messageFormat: 'detailed' }).messageFormat, 'detailed');
+            assert.strictEqual(service.resolve({ locale: 'xx', messageFormat: 'long' }).locale, 'fr');
+            assert.strictEqual(service.resolve({ locale: 'xx', messageFormat: 'long' }).messageFormat, 'summary');
+        });
+    });
+
+    describe('validate', () => {
+        it('accepts a valid partial update', () => {
+            assert.deepStrictEqual(service.validate({ alertLevels: ['expired'], quietHours: null }), []);
+        });
+
+        it('rejects unknown keys, levels, channels and modes', () => {
+            const errors = service.validate({
+                foo: 1,
+                alertLevels: ['urgent'],
+                channels: { fax: true, push: 'yes' },
+                deliveryMode: 'weekly',
+                locale: 'de',
+                messageFormat: 'long'
+            });
+            assert.deepStrictEqual(errors, [
+                'Unknown preference: foo',
+                'Unknown alert level: urgent',
+                'Unknown channel: fax',
+                'channels.push must be a boolean',
+                'deliveryMode must be one of: immediate, digest',
+                'locale must be one of: fr, en',
+                'messageFormat must be one of: summary, detailed'
+            ]);
+        });
+
+        it('requires a phone number or email address for the matching channel', () => {
+            assert.strictEqual(service.validate({ channels: { sms: true } }, { phoneNumber: '0611' }).length, 1);
+            assert.strictEqual(service.validate({ channels: { email: true } }, {}).length, 1);
+            assert.deepStrictEqual(service.validate({ channels: { sms: true, email: true } }, { phoneNumber: '+33611111111', email: 'a@b.fr' }), []);
+        });
+
+        it('validates quiet hours', () => {
+            assert.deepStrictEqual(service.validate({ quietHours: { start: '22:00', end: '07:00' } }), []);
+            assert.strictEqual(service.validate({ quietHours: { start: '25:00', end: '07:00' } }).length, 1);
+            assert.strictEqual(service.validate({ quietHours: { start: '07:00', end: '07:00' } }).length, 1);
+        });
+    });
+
+    describe('quiet hours', () => {
+        // Europe/Paris en été : UTC+2
+        const overnight = { quietHours: { start: '22:00', end: '07:00' } };
+        const daytime = { quietHours: { start: '12:00', end: '14:00' } };
+
+        it('handles ranges spanning midnight', () => {
+            assert.strictEqual(service.isInQuietHours(overnight, new Date('2025-06-01T21:30:00Z')), true);
+            assert.strictEqual(service.isInQuietHours(overnight, new Date('2025-06-01T04:59:00Z')), true);
+            assert.strictEqual(service.isInQuietHours(overnight, new Date('2025-06-01T05:00:00Z')), false);
+            assert.strictEqual(service.isInQuietHours(daytime, new Date('2025-06-01T10:30:00Z')), true);
+            assert.strictEqual(service.isInQuietHours({ quietHours: null }, new Date('2025-06-01T21:30:00Z')), false);
+        });
+
+        it('returns the end of the current quiet period', () => {
+            assert.strictEqual(service.getQuietHoursEnd(overnight, new Date('2025-06-01T21:30:00Z')).toISOString(), '2025-06-02T05:00:00.000Z');
+            assert.strictEqual(service.getQuietHoursEnd(overnight, new Date('2025-06-01T02:00:00Z')).toISOString(), '2025-06-01T05:00:00.000Z');
+        });
+    });
+
+    describe('filterSummary', () => {
+        it('keeps only the alert levels chosen by the user', () => {
+            const summary = new NotificationSummary('2025-06-01', 'daily');
+            summary.addAlert({ medicamentId: 'a', alertLevel: 'warning' });
+            summary.addAlert({ medicamentId: 'b', alertLevel: 'expired' });
+
+            const filtered = service.filterSummary(summary, { alertLevels: ['expired', 'critical'] });
+            assert.strictEqual(filtered.id, summary.id);
+            assert.strictEqual(filtered.newWarningCount, 0);
+            assert.strictEqual(filtered.newExpiredCount, 1);
+            assert.deepStrictEqual(filtered.newAlerts.map(alert => alert.medicamentId), ['b']);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { ReportService } = require('../../src/report-service');
+
+describe('ReportService', () => {
+    const service = new ReportService();
+
+    const report = {
+        organizationId: 'default',
+        period: 'weekly',
+        today: '2025-06-20',
+        horizonDays: 30,
+        periodStart: '2025-06-13',
+        periodEnd: '2025-06-20',
+        totals: { medicaments: 2, expired: 1, critical: 1, warning: 0, ok: 0 },
+        patients: [{
+            patientName: 'Dupont, Jean',
+            ordonnances: [{
+                ordonnanceId: 'ord1',
+                medicaments: [
+                    { medicamentId: 'a', name: 'Doliprane', expirationDate: '2025-06-18', daysLeft: -2, status: 'expired' },
+                    { medicamentId: 'b', name: 'Sirop "fort"', expirationDate: '2025-06-25', daysLeft: 5, status: 'critical' }
+                ]
+            }]
+        }],
+        alerts: {
+            raised: 1,
+            read: 1,
+            byLevel: { warning: 0, critical: 0, expired: 1 },
+            byAction: { disposed: 1, reordered: 0, replaced: 0 },
+            items: [{ alertDate: '2025-06-19', patientName: 'Dupont, Jean', medicamentName: 'Doliprane', alertLevel: 'expired', readCount: 2, action: 'disposed' }]
+        }
+    };
+
+    it('exports medicaments and alerts as CSV with escaped values', () => {
+        const lines = service.toCSV(report).trim().split('\n');
+
+        assert.strictEqual(lines[1], 'Patient,Ordonnance,Médicament,Expiration,Jours restants,Statut');
+        assert.strictEqual(lines[2], '"Dupont, Jean",ord1,Doliprane,2025-06-18,-2,Expiré');
+        assert.strictEqual(lines[3], '"Dupont, Jean",ord1,"Sirop ""fort""",2025-06-25,5,Critique');
+        assert.strictEqual(lines[5], 'Alertes du 2025-06-13 au 2025-06-20 : 1 levée(s), 1 lue(s)');
+        assert.strictEqual(lines[6], 'Date,Patient,Médicament,Niveau,Lue par,Action');
+        assert.strictEqual(lines[7], '2025-06-19,"Dupont, Jean",Doliprane,Expiré,2,Détruit');
+    });
+
+    it('renders a PDF document', async () => {
+        const pdf = await service.toPDF(report);
+        assert.ok(Buffer.isBuffer(pdf));
+        assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+    });
+});
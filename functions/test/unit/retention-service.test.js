@@ -0,0 +1,115 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const { RetentionService, RETENTION_POLICIES } = require('../../src/retention-service');
+
+// Requête Firestore simulée : sert les documents par pages et enregistre les suppressions
+function fakeDb(docs, data = () => ({})) {
+    const remaining = [...docs];
+    const deleted = [];
+    const query = {
+        where: () => query,
+        count: () => ({ get: async () => ({ data: () => ({ count: remaining.length }) }) }),
+        limit: size => ({
+            get: async () => {
+                const page = remaining.slice(0, size);
+                return { empty: page.length === 0, size: page.length, docs: page.map(id => ({ ref: id, data: () => data(id) })) };
+            }
+        })
+    };
+    const db = {
+        collection: () => query,
+        batch: () => {
+            const refs = [];
+            return {
+                delete: ref => refs.push(ref),
+                commit: async () => {
+                    refs.forEach(ref => remaining.splice(remaining.indexOf(ref), 1));
+                    deleted.push(refs.length);
+                }
+            };
+        }
+    };
+    return { db, deleted };
+}
+
+describe('RetentionService', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('declares a date field and duration for every age-based collection', () => {
+        RETENTION_POLICIES.filter(policy => !policy.parentCollection).forEach(policy => {
+            assert.ok(policy.field, policy.collection);
+            assert.ok(['date', 'timestamp'].includes(policy.dateType), policy.collection);
+            assert.ok(policy.months > 0, policy.collection);
+        });
+    });
+
+    it('applies configured durations over the defaults', () => {
+        const policies = new RetentionService([]).loadPolicies({ retention: { notification_logs: '6', audit_log: 'invalid' } });
+
+        assert.strictEqual(policies.find(p => p.collection === 'notification_logs').months, 6);
+        assert.strictEqual(policies.find(p => p.collection === 'audit_log').months, 24);
+    });
+
+    it('computes calendar-day and timestamp cutoffs', () => {
+        const service = new RetentionService([]);
+
+        assert.strictEqual(service.getCutoff({ dateType: 'date', months: 6 }, '2025-08-31'), '2025-02-28');
+        const cutoff = service.getCutoff({ dateType: 'timestamp', months: 3 }, '2025-06-20');
+        assert.strictEqual(cutoff.toDate().toISOString(), '2025-03-19T23:00:00.000Z');
+    });
+
+    it('counts without deleting in dry-run mode', async () => {
+        const service = new RetentionService([]);
+        const { db, deleted } = fakeDb(Array.from({ length: 900 }, (_, i) => `doc${i}`));
+        service.db = db;
+
+        const result = await service.applyAgePolicy({ collection: 'notification_logs', field: 'timestamp', dateType: 'timestamp', months: 3 }, true, '2025-06-20');
+
+        assert.strictEqual(result.matched, 900);
+        assert.strictEqual(result.deleted, 0);
+        assert.deepStrictEqual(deleted, []);
+    });
+
+    it('deletes expired documents in pages under the batch limit', async () => {
+        const service = new RetentionService([]);
+        const { db, deleted } = fakeDb(Array.from({ length: 900 }, (_, i) => `doc${i}`));
+        service.db = db;
+
+        const result = await service.applyAgePolicy({ collection: 'medication_alerts', field: 'alertDate', dateType: 'date', months: 6 }, false, '2025-06-20');
+
+        assert.strictEqual(result.deleted, 900);
+        assert.strictEqual(result.cutoff, '2024-12-20');
+        assert.deepStrictEqual(deleted, [400, 400, 100]);
+    });
+
+    it('deletes the report files in Cloud Storage along with expired reports', async () => {
+        const deletedFiles = [];
+        const bucket = { file: path => ({ delete: async () => deletedFiles.push(path) }) };
+        const service = new RetentionService([], bucket);
+        const { db } = fakeDb(['r1', 'r2'], id => ({ csvPath: `reports/default/${id}.csv`, pdfPath: `reports/default/${id}.pdf` }));
+        service.db = db;
+
+        const result = await service.applyAgePolicy(RETENTION_POLICIES.find(p => p.collection === 'reports'), false, '2025-06-20');
+
+        assert.strictEqual(result.deleted, 2);
+        assert.strictEqual(result.filesDeleted, 4);
+        assert.deepStrictEqual(deletedFiles, ['reports/default/r1.csv', 'reports/default/r1.pdf', 'reports/default/r2.csv', 'reports/default/r2.pdf']);
+    });
+
+    it('reports a failing policy without stopping the others', async () => {
+        const service = new RetentionService([
+            { collection: 'broken', field: 'date', dateType: 'date', months: 1 },
+            { collection: 'check_runs', field: 'date', dateType: 'date', months: 3 }
+        ]);
+        sinon.stub(service, 'applyAgePolicy')
+            .onFirstCall().rejects(new Error('boom'))
+            .onSecondCall().resolves({ collection: 'check_runs', matched: 2, deleted: 2 });
+
+        const result = await service.apply({ today: '2025-06-20' });
+
+        assert.strictEqual(result.deleted, 2);
+        assert.strictEqual(result.collections[0].error, 'boom');
+    });
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const {
+    RETRY_BASE_DELAY_MINUTES,
+    RETRY_MAX_ATTEMPTS,
+    permanentRetryError,
+    postponedRetryError,
+    getRetryDecision,
+    getFailureUpdate
+} = require('../../src/retry-policy');
+
+const MINUTE_MS = 60 * 1000;
+const now = new Date('2025-06-20T12:00:00Z').getTime();
+
+function failedLog(fields = {}) {
+    return { id: 'log1', type: 'sms', status: 'failed', details: { date: '2025-06-20', userId: 'uid1' }, ...fields };
+}
+
+describe('retry policy', () => {
+    describe('getRetryDecision', () => {
+        it('waits until the next retry is due', () => {
+            const log = failedLog({ retryCount: 1, nextRetryAt: admin.firestore.Timestamp.fromMillis(now + MINUTE_MS) });
+
+            assert.strictEqual(getRetryDecision(log, now).action, 'skip');
+            assert.strictEqual(getRetryDecision(log, now + 2 * MINUTE_MS).action, 'attempt');
+        });
+
+        it('abandons once the maximum number of attempts is reached', () => {
+            assert.strictEqual(getRetryDecision(failedLog({ retryCount: RETRY_MAX_ATTEMPTS - 1 }), now).action, 'attempt');
+            assert.deepStrictEqual(getRetryDecision(failedLog({ retryCount: RETRY_MAX_ATTEMPTS }), now), {
+                action: 'abandon', retryError: 'Max retry attempts reached'
+            });
+        });
+
+        it('abandons log entries without a summary date', () => {
+            assert.strictEqual(getRetryDecision(failedLog({ details: {} }), now).action, 'abandon');
+        });
+    });
+
+    describe('getFailureUpdate', () => {
+        it('doubles the delay after each failed attempt', () => {
+            const first = getFailureUpdate(0, new Error('timeout'), now);
+            const second = getFailureUpdate(1, new Error('timeout'), now);
+
+            assert.strictEqual(first.status, 'retried');
+            assert.strictEqual(first.fields.retryCount, 1);
+            assert.strictEqual(first.fields.nextRetryAt.toMillis(), now + 2 * RETRY_BASE_DELAY_MINUTES * MINUTE_MS);
+            assert.strictEqual(second.fields.nextRetryAt.toMillis(), now + 4 * RETRY_BASE_DELAY_MINUTES * MINUTE_MS);
+        });
+
+        it('abandons after the last allowed attempt', () => {
+            const update = getFailureUpdate(RETRY_MAX_ATTEMPTS - 1, new Error('timeout'), now);
+
+            assert.strictEqual(update.status, 'abandoned');
+            assert.strictEqual(update.fields.retryCount, RETRY_MAX_ATTEMPTS);
+            assert.strictEqual(update.fields.nextRetryAt, null);
+        });
+
+        it('abandons permanent errors immediately', () => {
+            const update = getFailureUpdate(0, permanentRetryError('User uid1 no longer exists'), now);
+
+            assert.strictEqual(update.status, 'abandoned');
+            assert.strictEqual(update.fields.retryError, 'User uid1 no longer exists');
+        });
+
+        it('postpones to the end of quiet hours without using an attempt', () => {
+            const quietHoursEnd = new Date('2025-06-21T05:00:00Z');
+            const update = getFailureUpdate(2, postponedRetryError('User uid1 is in quiet hours', quietHoursEnd), now);
+
+            assert.strictEqual(update.status, 'retried');
+            assert.strictEqual(update.fields.retryCount, 2);
+            assert.strictEqual(update.fields.nextRetryAt.toMillis(), quietHoursEnd.getTime());
+        });
+    });
+});
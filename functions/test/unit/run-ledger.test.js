@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { RunLedger } = require('../../src/run-ledger');
+
+// Faux Firestore : un seul document check_runs/{date} partagé entre les ledgers
+function fakeDb(store) {
+    const ref = { id: 'check_runs' };
+    return {
+        ref,
+        runTransaction: async (fn) => fn({
+            get: async () => ({ exists: !!store.run, data: () => store.run }),
+            set: (target, data, options) => {
+                store.run = options && options.merge ? { ...store.run, ...data } : data;
+            },
+            update: (target, data) => {
+                store.run = { ...store.run, ...data };
+            }
+        })
+    };
+}
+
+function createLedger(store, eventId) {
+    const ledger = new RunLedger('2025-06-20', eventId);
+    const db = fakeDb(store);
+    ledger.db = db;
+    ledger.ref = db.ref;
+    return ledger;
+}
+
+describe('RunLedger', () => {
+    it('gives each invocation its own lease owner, even for a redelivered event', async () => {
+        const store = {};
+        const first = createLedger(store, 'event-1');
+        const redelivered = createLedger(store, 'event-1');
+
+        assert.notStrictEqual(first.owner, redelivered.owner);
+
+        const lease = await first.acquire();
+        assert.strictEqual(lease.acquired, true);
+        assert.strictEqual(store.run.leaseEventId, 'event-1');
+
+        const competing = await redelivered.acquire();
+        assert.strictEqual(competing.acquired, false);
+        assert.strictEqual(competing.reason, 'lease_held');
+
+        await assert.rejects(redelivered.advance('alerts_written'), /Lease on check run 2025-06-20 lost/);
+        assert.strictEqual(store.run.state, 'started');
+    });
+
+    it('lets another invocation resume once the lease is released', async () => {
+        const store = {};
+        const first = createLedger(store, 'event-1');
+        await first.acquire();
+        await first.advance('alerts_written');
+        await first.release(new Error('boom'));
+
+        const retry = createLedger(store, 'event-1');
+        const lease = await retry.acquire();
+
+        assert.strictEqual(lease.acquired, true);
+        assert.strictEqual(lease.resumed, true);
+        assert.strictEqual(lease.run.state, 'alerts_written');
+        assert.strictEqual(store.run.attempts, 2);
+    });
+
+    it('is skipped once the run has completed', async () => {
+        const store = {};
+        const first = createLedger(store, 'event-1');
+        await first.acquire();
+        await first.advance('completed');
+
+        assert.strictEqual(store.run.leaseOwner, null);
+        assert.strictEqual((await createLedger(store, 'event-2').acquire()).reason, 'completed');
+    });
+});
@@ -0,0 +1,147 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const admin = require('firebase-admin');
+const { SMSService } = require('../../src/sms-service');
+const { createProviders, OvhProvider, OutboxProvider } = require('../../src/sms-providers');
+
+function fakeProvider(name, send) {
+    return { name, fromNumber: `+3310000000${name.length}`, isConfigured: () => true, send: sinon.spy(send) };
+}
+
+describe('SMSService', () => {
+    beforeEach(() => {
+        OutboxProvider.messages.length = 0;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('is disabled without providers', async () => {
+        const service = new SMSService([]);
+        const result = await service.sendSMS('+33611111111', 'Test');
+
+        assert.strictEqual(service.isEnabled, false);
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(service.getServiceStatus().provider, 'None');
+    });
+
+    it('rejects invalid phone numbers before calling a provider', async () => {
+        const provider = fakeProvider('Primary', async () => ({ messageId: '1' }));
+        const result = await new SMSService([provider]).sendSMS('0611111111', 'Test');
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.code, 'INVALID_PHONE_NUMBER');
+        assert.strictEqual(provider.send.callCount, 0);
+    });
+
+    it('falls back to the next provider in order', async () => {
+        const primary = fakeProvider('Primary', async () => {
+            throw new Error('Primary down');
+        });
+        const secondary = fakeProvider('Secondary', async () => ({ messageId: 'abc', status: 'queued' }));
+        const service = new SMSService([primary, secondary]);
+
+        const result = await service.sendSMS('+33611111111', 'Test');
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.provider, 'Secondary');
+        assert.strictEqual(result.messageId, 'abc');
+        assert.deepStrictEqual(service.getServiceStatus().fallbackProviders, ['Secondary']);
+    });
+
+    it('reports the last error when every provider fails', async () => {
+        const failing = message => fakeProvider(message, async () => {
+            const error = new Error(message);
+            error.code = 42;
+            throw error;
+        });
+
+        const result = await new SMSService([failing('A'), failing('B')]).sendSMS('+33611111111', 'Test');
+
+        assert.deepStrictEqual(result, { success: false, error: 'B', code: 42 });
+    });
+
+    it('records messages in the outbox provider', async () => {
+        const result = await new SMSService([new OutboxProvider()]).sendBulkSMS(['+33611111111', '+33622222222'], 'Alerte');
+
+        assert.strictEqual(result.totalSent, 2);
+        assert.deepStrictEqual(OutboxProvider.messages.map(m => m.to), ['+33611111111', '+33622222222']);
+        assert.strictEqual(OutboxProvider.messages[0].body, 'Alerte');
+    });
+
+    it('builds the supervisor escalation message without patient details', () => {
+        const message = new SMSService([]).createEscalationSMS({
+            medicamentName: 'Doliprane',
+            patientName: 'Jean Dupont',
+            alertLevel: 'expired',
+            expirationDate: admin.firestore.Timestamp.fromDate(new Date('2025-06-18T22:00:00Z'))
+        }, 26);
+
+        assert.strictEqual(message, [
+            'Prescription Manager - Escalade :',
+            'alerte non lue depuis 26 h',
+            'Doliprane (expiré, exp. 2025-06-19)',
+            'Merci de vérifier l\'ordonnance dans l\'app.'
+        ].join('\n'));
+        assert.ok(!message.includes('Dupont'));
+    });
+});
+
+describe('createProviders', () => {
+    it('defaults to Twilio and skips unconfigured providers', () => {
+        assert.deepStrictEqual(createProviders({}), []);
+        const providers = createProviders({ twilio: { account_sid: 'AC1', auth_token: 'token' } });
+        assert.deepStrictEqual(providers.map(p => p.name), ['Twilio']);
+    });
+
+    it('follows the configured fallback order', () => {
+        const providers = createProviders({
+            sms: { providers: 'ovh, twilio, outbox' },
+            twilio: { account_sid: 'AC1', auth_token: 'token' },
+            ovh: { application_key: 'ak', application_secret: 'as', consumer_key: 'ck', service_name: 'sms-1' }
+        });
+        assert.deepStrictEqual(providers.map(p => p.name), ['OVH', 'Twilio', 'Outbox']);
+    });
+});
+
+describe('OvhProvider', () => {
+    const provider = new OvhProvider({
+        application_key: 'ak',
+        application_secret: 'as',
+        consumer_key: 'ck',
+        service_name: 'sms-1',
+        sender: 'PHARMACIE'
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('signs and posts the SMS job', async () => {
+        const fetchStub = sinon.stub(global, 'fetch').resolves({
+            ok: true,
+            json: async () => ({ ids: [123], invalidReceivers: [], totalCreditsRemoved: 1 })
+        });
+
+        const result = await provider.send('+33611111111', 'Bonjour');
+
+        const [url, options] = fetchStub.firstCall.args;
+        const timestamp = options.headers['X-Ovh-Timestamp'];
+        assert.strictEqual(url, 'https://eu.api.ovh.com/1.0/sms/sms-1/jobs');
+        assert.deepStrictEqual(JSON.parse(options.body).receivers, ['+33611111111']);
+        assert.strictEqual(options.headers['X-Ovh-Signature'], provider.sign('POST', url, options.body, timestamp));
+        assert.match(options.headers['X-Ovh-Signature'], /^\$1\$[0-9a-f]{40}$/);
+        assert.deepStrictEqual(result, { messageId: '123', status: 'queued', cost: '1' });
+    });
+
+    it('throws on API errors', async () => {
+        sinon.stub(global, 'fetch').resolves({
+            ok: false,
+            status: 403,
+            json: async () => ({ message: 'Invalid signature', errorCode: 'INVALID_SIGNATURE' })
+        });
+
+        await assert.rejects(provider.send('+33611111111', 'Bonjour'), /Invalid signature/);
+    });
+});
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const admin = require('firebase-admin');
+const { SummaryService, buildDeliveryStatus, getUserSummaryId } = require('../../src/summary-service');
+const { NotificationSummary } = require('../../src/models');
+
+describe('SummaryService.resolveAlerts', () => {
+    const service = new SummaryService();
+
+    it('adds the current status and read state of each alert', async () => {
+        const stored = {
+            a1: { status: 'active', userStates: { u1: { isRead: true } } },
+            a2: { status: 'resolved', userStates: {} }
+        };
+        service.db = {
+            collection: () => ({ doc: id => id }),
+            getAll: async (...ids) => ids.map(id => ({ id, exists: !!stored[id], data: () => stored[id] }))
+        };
+
+        const summary = new NotificationSummary('2025-06-20');
+        summary.addAlert({
+            medicamentId: 'med1',
+            ordonnanceId: 'ord1',
+            patientName: 'Jean',
+            medicamentName: 'Doliprane',
+            expirationDate: admin.firestore.Timestamp.fromDate(new Date('2025-06-18T22:00:00Z')),
+            alertLevel: 'expired'
+        }, 'a1');
+        summary.addAlert({ medicamentId: 'med2', ordonnanceId: 'ord1', alertLevel: 'critical' }, 'a2');
+        summary.addAlert({ medicamentId: 'med3', ordonnanceId: 'ord2', alertLevel: 'warning' }, 'a3');
+        summary.addAlert({ medicamentId: 'med4', ordonnanceId: 'ord2', alertLevel: 'warning' });
+
+        const alerts = await service.resolveAlerts(summary, 'u1');
+
+        assert.deepStrictEqual(alerts[0], {
+            alertId: 'a1',
+            medicamentId: 'med1',
+            ordonnanceId: 'ord1',
+            patientName: 'Jean',
+            medicamentName: 'Doliprane',
+            alertLevel: 'expired',
+            expirationDate: '2025-06-19',
+            status: 'active',
+            isRead: true
+        });
+        assert.deepStrictEqual(alerts.map(alert => [alert.status, alert.isRead]), [
+            ['active', true],
+            ['resolved', false],
+            ['deleted', false],
+            [null, false]
+        ]);
+    });
+});
+
+describe('SummaryService.getUserDelivery', () => {
+    const service = new SummaryService();
+    const at = iso => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+    it('attributes deliveries of the summary merged with the user digest to the daily summary', async () => {
+        const logs = [
+            { type: 'push', status: 'success', timestamp: at('2025-06-20T06:00:00Z'), details: { userId: 'u1', summaryId: getUserSummaryId('default_2025-06-20', 'u1') } },
+            { type: 'sms', status: 'failed', timestamp: at('2025-06-19T06:00:00Z'), details: { userId: 'u1', summaryId: 'default_2025-06-19' } }
+        ];
+        service.db = {
+            collection: () => ({
+                doc: id => id,
+                where: () => ({
+                    where: (field, op, ids) => ({
+                        get: async () => ({ docs: logs.filter(log => ids.includes(log.details.summaryId)).map(log => ({ data: () => log })) })
+                    })
+                })
+            }),
+            getAll: async (...ids) => ids.map(id => ({ id, exists: false }))
+        };
+
+        const delivery = await service.getUserDelivery('u1', [
+            new NotificationSummary('2025-06-20', 'daily', 'default_2025-06-20'),
+            new NotificationSummary('2025-06-19', 'daily', 'default_2025-06-19')
+        ]);
+
+        assert.strictEqual(delivery.get('default_2025-06-20').push.status, 'delivered');
+        assert.strictEqual(delivery.get('default_2025-06-19').push.status, 'not_sent');
+        assert.strictEqual(delivery.get('default_2025-06-19').sms.status, 'retrying');
+    });
+});
+
+// Requête Firestore simulée sur les ids de notification_summaries : tri décroissant, bornes et pagination
+function fakeFeedDb(docs) {
+    const sorted = Object.keys(docs).sort().reverse();
+    const reads = [];
+
+    function query(bounds) {
+        return {
+            orderBy: () => query(bounds),
+            endAt: id => query({ ...bounds, end: id }),
+            limit: size => query({ ...bounds, limit: size }),
+            startAt: id => query({ ...bounds, start: id, inclusive: true }),
+            startAfter: id => query({ ...bounds, start: id, inclusive: false }),
+            get: async () => {
+                const ids = sorted
+                    .filter(id => bounds.inclusive ? id <= bounds.start : id < bounds.start)
+                    .filter(id => id >= bounds.end)
+                    .slice(0, bounds.limit);
+                reads.push(ids.length);
+                return { size: ids.length, docs: ids.map(id => ({ id, data: () => docs[id] })) };
+            }
+        };
+    }
+
+    return { db: { collection: () => query({}) }, reads };
+}
+
+function storedSummary(date, organizationId, { type = 'daily', userId = null } = {}) {
+    const summary = new NotificationSummary(date, type, null, organizationId);
+    summary.userId = userId;
+    return summary.toFirestore();
+}
+
+describe('SummaryService.getDailyFeed', () => {
+    it('fills each page with the organisation\'s daily summaries despite other documents in its id range', async () => {
+        const service = new SummaryService();
+        const { db } = fakeFeedDb({
+            'ehpad_2025-06-18': storedSummary('2025-06-18', 'ehpad'),
+            'ehpad_2025-06-19': storedSummary('2025-06-19', 'ehpad'),
+            'ehpad_2025-06-19_uid1': storedSummary('2025-06-19', 'ehpad', { userId: 'uid1' }),
+            'ehpad_2025-06-20': storedSummary('2025-06-20', 'ehpad'),
+            'ehpad_2025-06-20_uid1': storedSummary('2025-06-20', 'ehpad', { userId: 'uid1' }),
+            'ehpad_2025-06-20_uid2': storedSummary('2025-06-20', 'ehpad', { userId: 'uid2' }),
+            'ehpad_nord_2025-06-20': storedSummary('2025-06-20', 'ehpad_nord'),
+            'ehpad_med1_2025-06-20_expired': storedSummary('2025-06-20', 'ehpad', { type: 'realtime' }),
+            'other_2025-06-20': storedSummary('2025-06-20', 'other')
+        });
+        service.db = db;
+
+        const first = await service.getDailyFeed('ehpad', { limit: 2 });
+        assert.deepStrictEqual(first.summaries.map(({ summary }) => summary.id), ['ehpad_2025-06-20', 'ehpad_2025-06-19']);
+        assert.ok(first.nextPageToken);
+
+        const second = await service.getDailyFeed('ehpad', { limit: 2, pageToken: first.nextPageToken });
+        assert.deepStrictEqual(second.summaries.map(({ summary }) => summary.id), ['ehpad_2025-06-18']);
+        assert.strictEqual(second.nextPageToken, null);
+    });
+
+    it('ends the feed without a page token when the range is exhausted', async () => {
+        const service = new SummaryService();
+        const { db, reads } = fakeFeedDb({ 'ehpad_2025-06-20_uid1': storedSummary('2025-06-20', 'ehpad', { userId: 'uid1' }) });
+        service.db = db;
+
+        const page = await service.getDailyFeed('ehpad', { limit: 2 });
+
+        assert.deepStrictEqual(page, { summaries: [], nextPageToken: null });
+        assert.deepStrictEqual(reads, [1]);
+    });
+});
+
+describe('buildDeliveryStatus', () => {
+    const at = iso => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+    it('reports each channel from the user logs', () => {
+        const delivery = buildDeliveryStatus([
+            { type: 'push', status: 'failed', timestamp: at('2025-06-20T06:00:00Z'), details: { error: 'Unregistered' }, retryStatus: 'abandoned' },
+            { type: 'sms', status: 'failed', timestamp: at('2025-06-20T06:00:05Z'), details: {}, retryStatus: 'succeeded', lastRetryAt: at('2025-06-20T08:00:00Z') },
+            { type: 'email', status: 'success', timestamp: at('2025-06-20T06:00:10Z'), details: {} }
+        ]);
+
+        assert.deepStrictEqual(delivery, {
+            push: { status: 'failed', at: '2025-06-20T06:00:00.000Z', error: 'Unregistered' },
+            sms: { status: 'delivered', at: '2025-06-20T08:00:00.000Z', retried: true },
+            email: { status: 'delivered', at: '2025-06-20T06:00:10.000Z' }
+        });
+    });
+
+    it('shows pending retries and deferred deliveries', () => {
+        const delivery = buildDeliveryStatus(
+            [{ type: 'push', status: 'failed', timestamp: at('2025-06-20T06:00:00Z'), details: { error: 'timeout' } }],
+            { reason: 'quiet_hours', deliverAfter: at('2025-06-20T07:00:00Z') }
+        );
+
+        assert.strictEqual(delivery.push.status, 'retrying');
+        assert.deepStrictEqual(delivery.sms, { status: 'deferred', reason: 'quiet_hours', deliverAfter: '2025-06-20T07:00:00.000Z' });
+    });
+
+    it('shows retries handed over to the digest as deferred', () => {
+        const logs = [{ type: 'sms', status: 'failed', timestamp: at('2025-06-20T06:00:00Z'), details: {}, retryStatus: 'deferred', deferredReason: 'digest' }];
+
+        assert.deepStrictEqual(buildDeliveryStatus(logs).sms, { status: 'deferred', reason: 'digest', deliverAfter: null });
+        assert.deepStrictEqual(buildDeliveryStatus(logs, { reason: 'digest', deliverAfter: null }).sms, { status: 'deferred', reason: 'digest', deliverAfter: null });
+    });
+
+    it('reports channels without logs as not sent', () => {
+        assert.deepStrictEqual(buildDeliveryStatus([]).email, { status: 'not_sent' });
+    });
+});
@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { ThresholdService, DEFAULT_THRESHOLDS } = require('../../src/threshold-service');
+
+describe('ThresholdService.resolve', () => {
+    const service = new ThresholdService();
+    const globalThresholds = { ...DEFAULT_THRESHOLDS, source: 'default' };
+
+    it('uses the global thresholds without overrides', () => {
+        assert.deepStrictEqual(service.resolve(globalThresholds, {}, {}), globalThresholds);
+    });
+
+    it('prefers medicament overrides over ordonnance overrides', () => {
+        const resolved = service.resolve(
+            globalThresholds,
+            { expirationThresholds: { criticalDays: 30, warningDays: 60 } },
+            { expirationThresholds: { warningDays: 90 } }
+        );
+        assert.deepStrictEqual(resolved, { criticalDays: 30, warningDays: 90, source: 'medicament' });
+    });
+
+    it('ignores invalid overrides', () => {
+        const resolved = service.resolve(globalThresholds, { expirationThresholds: { criticalDays: -1, warningDays: 5 } });
+        assert.deepStrictEqual(resolved, { criticalDays: 14, warningDays: 30, source: 'ordonnance' });
+    });
+});
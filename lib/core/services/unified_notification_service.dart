@@ -168,6 +168,13 @@ class UnifiedNotificationService {
     if (data.containsKey('screen')) {
       final screen = data['screen'] as String;
       switch (screen) {
+        case 'medicament':
+          final ordonnanceId = data['ordonnanceId'] as String?;
+          final medicamentId = data['medicamentId'] as String?;
+          if (ordonnanceId != null && medicamentId != null) {
+            return '/medicament/$ordonnanceId/$medicamentId';
+          }
+          return '/notifications';
         case 'notifications':
           return '/notifications';
         case 'profile':